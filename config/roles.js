@@ -0,0 +1,4 @@
+// User roles, as allowed by the users.role CHECK constraint
+const ROLES = ['normal_user', 'store_owner', 'system_admin'];
+
+module.exports = { ROLES };
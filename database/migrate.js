@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+
+// Versioned schema migrations.
+// Each migration is a pair of files in database/migrations:
+//   NNN_description.up.sql   - applied by `migrate up`
+//   NNN_description.down.sql - applied by `migrate down`
+// Applied versions are tracked in the schema_migrations table. Every migration
+// runs in its own transaction and a Postgres advisory lock keeps two
+// processes (e.g. two deploys) from migrating at the same time.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 4318001;
+
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const downFile = `${version}_${name}.down.sql`;
+      return {
+        version,
+        name,
+        upPath: path.join(MIGRATIONS_DIR, file),
+        downPath: fs.existsSync(path.join(MIGRATIONS_DIR, downFile)) ? path.join(MIGRATIONS_DIR, downFile) : null
+      };
+    })
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+};
+
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    client.release();
+  }
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+const runInTransaction = async (client, sql, bookkeeping) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Apply all pending migrations (optionally only up to a given version)
+const up = async ({ to = null } = {}) => {
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedVersions(client)).map(row => row.version));
+    const pending = loadMigrations()
+      .filter(migration => !applied.has(migration.version))
+      .filter(migration => to === null || parseInt(migration.version) <= parseInt(to));
+
+    for (const migration of pending) {
+      const sql = fs.readFileSync(migration.upPath, 'utf8');
+      await runInTransaction(client, sql, () => client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      ));
+      console.log(`⬆️  Applied ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+  });
+};
+
+// Roll back the most recently applied migrations (one by default)
+const down = async ({ steps = 1 } = {}) => {
+  return withMigrationLock(async (client) => {
+    const migrations = loadMigrations();
+    const applied = (await getAppliedVersions(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const row of applied) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration || !migration.downPath) {
+        throw new Error(`No down migration found for ${row.version}_${row.name}`);
+      }
+
+      const sql = fs.readFileSync(migration.downPath, 'utf8');
+      await runInTransaction(client, sql, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      console.log(`⬇️  Rolled back ${migration.version}_${migration.name}`);
+      rolledBack.push(`${migration.version}_${migration.name}`);
+    }
+
+    return rolledBack;
+  });
+};
+
+// List every known migration with the time it was applied (null when pending)
+const status = async () => {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const migrations = loadMigrations();
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+    }));
+
+    // Versions recorded in the database whose files are gone
+    applied
+      .filter(row => !migrations.some(m => m.version === row.version))
+      .forEach(row => rows.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }));
+
+    return rows;
+  });
+};
+
+// Create an empty up/down pair with the next version number
+const create = (name) => {
+  const migrations = loadMigrations();
+  const nextVersion = String(migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) + 1 : 1).padStart(3, '0');
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+  const upPath = path.join(MIGRATIONS_DIR, `${nextVersion}_${slug}.up.sql`);
+  const downPath = path.join(MIGRATIONS_DIR, `${nextVersion}_${slug}.down.sql`);
+  fs.writeFileSync(upPath, `-- ${name}\n`);
+  fs.writeFileSync(downPath, `-- Revert: ${name}\n`);
+
+  return [upPath, downPath];
+};
+
+const runCli = async () => {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = await up({ to: arg || null });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const rolledBack = await down({ steps: parseInt(arg) || 1 });
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === 'status') {
+      const rows = await status();
+      rows.forEach(row => {
+        const state = row.missing ? 'MISSING FILE' : row.appliedAt ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+        console.log(`  ${row.version}_${row.name}: ${state}`);
+      });
+    } else if (command === 'create') {
+      if (!arg) {
+        throw new Error('Usage: migrate create <name>');
+      }
+      create(arg).forEach(file => console.log(`📝 Created ${path.relative(process.cwd(), file)}`));
+    } else {
+      throw new Error(`Unknown command "${command}". Use up [version], down [steps], status or create <name>`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+if (require.main === module) {
+  runCli();
+}
+
+module.exports = { up, down, status, create };
@@ -0,0 +1,5 @@
+DROP VIEW IF EXISTS store_ratings_summary;
+DROP TABLE IF EXISTS ratings;
+DROP TABLE IF EXISTS stores;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
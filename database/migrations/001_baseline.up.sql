@@ -1,5 +1,6 @@
--- Store Rating System Database Schema
--- Based on internship requirements
+-- Baseline: the schema as it existed before versioned migrations.
+-- Every statement is idempotent so it can be applied to databases that were
+-- created with the old schema.sql / setup scripts.
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -55,12 +56,15 @@ END;
 $$ language 'plpgsql';
 
 -- Triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_stores_updated_at ON stores;
 CREATE TRIGGER update_stores_updated_at BEFORE UPDATE ON stores
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_ratings_updated_at ON ratings;
 CREATE TRIGGER update_ratings_updated_at BEFORE UPDATE ON ratings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -79,8 +83,3 @@ SELECT
 FROM stores s
 LEFT JOIN ratings r ON s.id = r.store_id
 GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at;
-
--- Insert default system admin user
-INSERT INTO users (name, email, password_hash, address, role) VALUES 
-('System Administrator', 'admin@system.com', '$2a$10$default_hash_here', 'System Address - 123 Admin Street, Admin City, AC 12345', 'system_admin')
-ON CONFLICT (email) DO NOTHING;
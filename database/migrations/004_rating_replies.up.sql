@@ -0,0 +1,13 @@
+-- Public store owner replies, at most one per rating
+CREATE TABLE IF NOT EXISTS rating_replies (
+    id SERIAL PRIMARY KEY,
+    rating_id INTEGER UNIQUE NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reply TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_rating_replies_updated_at ON rating_replies;
+CREATE TRIGGER update_rating_replies_updated_at BEFORE UPDATE ON rating_replies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
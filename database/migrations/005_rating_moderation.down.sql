@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS rating_reports;
+DROP INDEX IF EXISTS idx_ratings_is_hidden;
+ALTER TABLE ratings DROP COLUMN IF EXISTS hidden_by;
+ALTER TABLE ratings DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE ratings DROP COLUMN IF EXISTS is_hidden;
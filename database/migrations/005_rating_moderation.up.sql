@@ -0,0 +1,23 @@
+-- Hidden ratings stay in the database (and keep counting toward store
+-- averages) but their review is no longer shown publicly.
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- User reports against ratings, one per user per rating
+CREATE TABLE IF NOT EXISTS rating_reports (
+    id SERIAL PRIMARY KEY,
+    rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'offensive', 'off_topic', 'fake', 'other')),
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(rating_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_reports_rating_id ON rating_reports(rating_id);
+CREATE INDEX IF NOT EXISTS idx_rating_reports_status ON rating_reports(status);
+CREATE INDEX IF NOT EXISTS idx_ratings_is_hidden ON ratings(is_hidden);
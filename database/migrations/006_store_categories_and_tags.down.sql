@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS store_tags;
+DROP INDEX IF EXISTS idx_stores_category_id;
+ALTER TABLE stores DROP COLUMN IF EXISTS category_id;
+DROP TABLE IF EXISTS categories;
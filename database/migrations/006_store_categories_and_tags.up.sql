@@ -0,0 +1,24 @@
+-- Admin-managed store categories
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    slug VARCHAR(60) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+
+-- Free-form tags, stored lowercased
+CREATE TABLE IF NOT EXISTS store_tags (
+    store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    tag VARCHAR(30) NOT NULL,
+    PRIMARY KEY (store_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stores_category_id ON stores(category_id);
+CREATE INDEX IF NOT EXISTS idx_store_tags_tag ON store_tags(tag);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_stores_lat_lng;
+ALTER TABLE stores DROP COLUMN IF EXISTS geocoded_by;
+ALTER TABLE stores DROP COLUMN IF EXISTS longitude;
+ALTER TABLE stores DROP COLUMN IF EXISTS latitude;
@@ -0,0 +1,8 @@
+-- Store coordinates (WGS84 degrees), set by admins or by the geocoder
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION
+    CHECK (latitude IS NULL OR (latitude >= -90 AND latitude <= 90));
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION
+    CHECK (longitude IS NULL OR (longitude >= -180 AND longitude <= 180));
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS geocoded_by VARCHAR(30);
+
+CREATE INDEX IF NOT EXISTS idx_stores_lat_lng ON stores(latitude, longitude);
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_stores_name_trgm;
+DROP INDEX IF EXISTS idx_ratings_comment_vector;
+DROP INDEX IF EXISTS idx_stores_search_vector;
+ALTER TABLE ratings DROP COLUMN IF EXISTS comment_vector;
+ALTER TABLE stores DROP COLUMN IF EXISTS search_vector;
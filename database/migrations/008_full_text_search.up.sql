@@ -0,0 +1,16 @@
+-- Full-text search over store name/address and rating comments, plus trigram
+-- similarity on store names for typo-tolerant matching and suggestions.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(address, '')), 'B')
+    ) STORED;
+
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS comment_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', COALESCE(comment, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_stores_search_vector ON stores USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_ratings_comment_vector ON ratings USING GIN (comment_vector);
+CREATE INDEX IF NOT EXISTS idx_stores_name_trgm ON stores USING GIN (name gin_trgm_ops);
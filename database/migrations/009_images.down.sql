@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS rating_photos;
+ALTER TABLE stores DROP COLUMN IF EXISTS cover_thumbnail_url;
+ALTER TABLE stores DROP COLUMN IF EXISTS cover_image_url;
+ALTER TABLE stores DROP COLUMN IF EXISTS cover_thumbnail_key;
+ALTER TABLE stores DROP COLUMN IF EXISTS cover_image_key;
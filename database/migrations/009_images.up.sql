@@ -0,0 +1,20 @@
+-- Store cover images
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS cover_image_key VARCHAR(255);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS cover_thumbnail_key VARCHAR(255);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS cover_image_url VARCHAR(500);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS cover_thumbnail_url VARCHAR(500);
+
+-- Photos attached to ratings
+CREATE TABLE IF NOT EXISTS rating_photos (
+    id SERIAL PRIMARY KEY,
+    rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    image_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    image_url VARCHAR(500) NOT NULL,
+    thumbnail_url VARCHAR(500) NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_photos_rating_id ON rating_photos(rating_id);
@@ -0,0 +1,19 @@
+-- In-app notifications. store_id/rating_id point at what the notification is
+-- about; data holds type-specific details (e.g. the old and new rating value).
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN (
+        'rating_created', 'rating_updated', 'owner_reply',
+        'rating_hidden', 'rating_restored', 'rating_removed'
+    )),
+    store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+    rating_id INTEGER REFERENCES ratings(id) ON DELETE SET NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS store_digests;
+ALTER TABLE users DROP COLUMN IF EXISTS weekly_digest;
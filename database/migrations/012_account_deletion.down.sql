@@ -0,0 +1,8 @@
+-- Fails while anonymized accounts exist, since their names are too short
+DROP INDEX IF EXISTS idx_users_deletion_scheduled_at;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_name_check;
+ALTER TABLE users ADD CONSTRAINT users_name_check CHECK (LENGTH(name) >= 20);
+ALTER TABLE users DROP COLUMN IF EXISTS anonymized_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deletion_mode;
+ALTER TABLE users DROP COLUMN IF EXISTS deletion_scheduled_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deletion_requested_at;
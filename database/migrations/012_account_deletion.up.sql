@@ -0,0 +1,13 @@
+-- Account deletion requested by the user. The account is deleted (or
+-- anonymized, keeping its ratings as "Deleted user") once deletion_scheduled_at
+-- has passed; logging in before then cancels the request.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_mode VARCHAR(10) CHECK (deletion_mode IN ('delete', 'anonymize'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+-- "Deleted user" is shorter than the 20 character minimum for real names
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_name_check;
+ALTER TABLE users ADD CONSTRAINT users_name_check CHECK (LENGTH(name) >= 20 OR anonymized_at IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_at ON users(deletion_scheduled_at) WHERE deletion_scheduled_at IS NOT NULL;
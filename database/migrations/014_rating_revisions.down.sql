@@ -0,0 +1,6 @@
+DROP TRIGGER IF EXISTS record_ratings_revision ON ratings;
+DROP TRIGGER IF EXISTS mark_ratings_edited ON ratings;
+DROP FUNCTION IF EXISTS record_rating_revision();
+DROP FUNCTION IF EXISTS mark_rating_edited();
+ALTER TABLE ratings DROP COLUMN IF EXISTS edited_at;
+DROP TABLE IF EXISTS rating_revisions;
@@ -0,0 +1,55 @@
+-- Every version of a rating, including the first. Revisions are written by
+-- triggers so no code path can change a rating without leaving a trace.
+-- edited_at is set on changes to the score or comment only; updated_at also
+-- moves when moderators hide or restore a rating.
+CREATE TABLE IF NOT EXISTS rating_revisions (
+    id SERIAL PRIMARY KEY,
+    rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(rating_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_revisions_created_at ON rating_revisions(created_at);
+
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+
+CREATE OR REPLACE FUNCTION mark_rating_edited()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.rating IS DISTINCT FROM OLD.rating OR NEW.comment IS DISTINCT FROM OLD.comment THEN
+        NEW.edited_at = CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- The UPDATE holds the rating's row lock, so revision numbers cannot collide
+CREATE OR REPLACE FUNCTION record_rating_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.rating IS DISTINCT FROM OLD.rating OR NEW.comment IS DISTINCT FROM OLD.comment THEN
+        INSERT INTO rating_revisions (rating_id, revision, rating, comment)
+        SELECT NEW.id, COALESCE(MAX(revision), 0) + 1, NEW.rating, NEW.comment
+        FROM rating_revisions WHERE rating_id = NEW.id;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS mark_ratings_edited ON ratings;
+CREATE TRIGGER mark_ratings_edited BEFORE UPDATE ON ratings
+    FOR EACH ROW EXECUTE FUNCTION mark_rating_edited();
+
+DROP TRIGGER IF EXISTS record_ratings_revision ON ratings;
+CREATE TRIGGER record_ratings_revision AFTER INSERT OR UPDATE ON ratings
+    FOR EACH ROW EXECUTE FUNCTION record_rating_revision();
+
+-- Earlier edits were never kept, so existing ratings start with their current
+-- version as revision 1, dated when the rating was first submitted
+INSERT INTO rating_revisions (rating_id, revision, rating, comment, created_at)
+SELECT r.id, 1, r.rating, r.comment, r.created_at
+FROM ratings r
+WHERE NOT EXISTS (SELECT 1 FROM rating_revisions rv WHERE rv.rating_id = r.id);
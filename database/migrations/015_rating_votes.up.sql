@@ -0,0 +1,16 @@
+-- "Was this review helpful?" votes, one per user per rating. A user can change
+-- their vote (helpful is updated) or withdraw it (the row is deleted).
+CREATE TABLE IF NOT EXISTS rating_votes (
+    rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    helpful BOOLEAN NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rating_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_votes_user_id ON rating_votes(user_id);
+
+DROP TRIGGER IF EXISTS update_rating_votes_updated_at ON rating_votes;
+CREATE TRIGGER update_rating_votes_updated_at BEFORE UPDATE ON rating_votes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
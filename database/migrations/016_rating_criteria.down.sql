@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS rating_scores;
+DROP TABLE IF EXISTS rating_criteria;
@@ -0,0 +1,26 @@
+-- Optional sub-ratings (e.g. service, price, quality, cleanliness) configured
+-- per store category. A rating can score any of the criteria of its store's
+-- category; the overall 1-5 rating stays required.
+CREATE TABLE IF NOT EXISTS rating_criteria (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    slug VARCHAR(60) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(category_id, slug)
+);
+
+DROP TRIGGER IF EXISTS update_rating_criteria_updated_at ON rating_criteria;
+CREATE TRIGGER update_rating_criteria_updated_at BEFORE UPDATE ON rating_criteria
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS rating_scores (
+    rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    criterion_id INTEGER NOT NULL REFERENCES rating_criteria(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL CHECK (score >= 1 AND score <= 5),
+    PRIMARY KEY (rating_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_scores_criterion_id ON rating_scores(criterion_id);
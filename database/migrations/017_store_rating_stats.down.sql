@@ -0,0 +1,22 @@
+DROP VIEW IF EXISTS store_ratings_summary;
+CREATE VIEW store_ratings_summary AS
+SELECT 
+    s.id,
+    s.name,
+    s.email,
+    s.address,
+    s.owner_id,
+    COUNT(r.id) as total_ratings,
+    COALESCE(AVG(r.rating), 0) as average_rating,
+    s.created_at,
+    s.updated_at
+FROM stores s
+LEFT JOIN ratings r ON s.id = r.store_id
+GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at;
+
+DROP TRIGGER IF EXISTS store_rating_stats_update ON ratings;
+DROP TRIGGER IF EXISTS store_rating_stats_delete ON ratings;
+DROP TRIGGER IF EXISTS store_rating_stats_insert ON ratings;
+DROP FUNCTION IF EXISTS rebuild_store_rating_stats();
+DROP FUNCTION IF EXISTS update_store_rating_stats();
+DROP TABLE IF EXISTS store_rating_stats;
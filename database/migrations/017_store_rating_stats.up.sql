@@ -0,0 +1,116 @@
+-- Rating aggregates per store, kept up to date by triggers on ratings so
+-- listings do not have to aggregate the ratings table on every request.
+-- Stores without ratings have no row. Hidden ratings count, as they do for
+-- the store average. Rebuild with `npm run stats:rebuild` if it ever drifts.
+CREATE TABLE IF NOT EXISTS store_rating_stats (
+    store_id INTEGER PRIMARY KEY REFERENCES stores(id) ON DELETE CASCADE,
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    rating_sum INTEGER NOT NULL DEFAULT 0,
+    count_1 INTEGER NOT NULL DEFAULT 0,
+    count_2 INTEGER NOT NULL DEFAULT 0,
+    count_3 INTEGER NOT NULL DEFAULT 0,
+    count_4 INTEGER NOT NULL DEFAULT 0,
+    count_5 INTEGER NOT NULL DEFAULT 0,
+    last_rated_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION update_store_rating_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        -- Never inserts: when the store itself is being deleted its row may already be gone
+        UPDATE store_rating_stats SET
+            rating_count = rating_count - 1,
+            rating_sum = rating_sum - OLD.rating,
+            count_1 = count_1 - (OLD.rating = 1)::INTEGER,
+            count_2 = count_2 - (OLD.rating = 2)::INTEGER,
+            count_3 = count_3 - (OLD.rating = 3)::INTEGER,
+            count_4 = count_4 - (OLD.rating = 4)::INTEGER,
+            count_5 = count_5 - (OLD.rating = 5)::INTEGER,
+            last_rated_at = (SELECT MAX(created_at) FROM ratings WHERE store_id = OLD.store_id),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE store_id = OLD.store_id;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        INSERT INTO store_rating_stats (store_id, rating_count, rating_sum, count_1, count_2, count_3, count_4, count_5, last_rated_at)
+        VALUES (
+            NEW.store_id, 1, NEW.rating,
+            (NEW.rating = 1)::INTEGER, (NEW.rating = 2)::INTEGER, (NEW.rating = 3)::INTEGER,
+            (NEW.rating = 4)::INTEGER, (NEW.rating = 5)::INTEGER,
+            NEW.created_at
+        )
+        ON CONFLICT (store_id) DO UPDATE SET
+            rating_count = store_rating_stats.rating_count + 1,
+            rating_sum = store_rating_stats.rating_sum + EXCLUDED.rating_sum,
+            count_1 = store_rating_stats.count_1 + EXCLUDED.count_1,
+            count_2 = store_rating_stats.count_2 + EXCLUDED.count_2,
+            count_3 = store_rating_stats.count_3 + EXCLUDED.count_3,
+            count_4 = store_rating_stats.count_4 + EXCLUDED.count_4,
+            count_5 = store_rating_stats.count_5 + EXCLUDED.count_5,
+            last_rated_at = GREATEST(store_rating_stats.last_rated_at, EXCLUDED.last_rated_at),
+            updated_at = CURRENT_TIMESTAMP;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS store_rating_stats_insert ON ratings;
+CREATE TRIGGER store_rating_stats_insert AFTER INSERT ON ratings
+    FOR EACH ROW EXECUTE FUNCTION update_store_rating_stats();
+
+DROP TRIGGER IF EXISTS store_rating_stats_delete ON ratings;
+CREATE TRIGGER store_rating_stats_delete AFTER DELETE ON ratings
+    FOR EACH ROW EXECUTE FUNCTION update_store_rating_stats();
+
+-- Hiding, restoring or editing only the comment leaves the aggregates alone
+DROP TRIGGER IF EXISTS store_rating_stats_update ON ratings;
+CREATE TRIGGER store_rating_stats_update AFTER UPDATE OF rating, store_id ON ratings
+    FOR EACH ROW
+    WHEN (OLD.rating IS DISTINCT FROM NEW.rating OR OLD.store_id IS DISTINCT FROM NEW.store_id)
+    EXECUTE FUNCTION update_store_rating_stats();
+
+-- Recompute every row from the ratings table; returns the number of stores.
+-- Rating writes wait until the surrounding transaction ends, so none is lost.
+CREATE OR REPLACE FUNCTION rebuild_store_rating_stats()
+RETURNS INTEGER AS $$
+DECLARE
+    rebuilt INTEGER;
+BEGIN
+    LOCK TABLE ratings IN SHARE MODE;
+
+    DELETE FROM store_rating_stats;
+
+    INSERT INTO store_rating_stats (store_id, rating_count, rating_sum, count_1, count_2, count_3, count_4, count_5, last_rated_at)
+    SELECT store_id, COUNT(*), SUM(rating),
+           COUNT(*) FILTER (WHERE rating = 1), COUNT(*) FILTER (WHERE rating = 2),
+           COUNT(*) FILTER (WHERE rating = 3), COUNT(*) FILTER (WHERE rating = 4),
+           COUNT(*) FILTER (WHERE rating = 5),
+           MAX(created_at)
+    FROM ratings
+    GROUP BY store_id;
+
+    GET DIAGNOSTICS rebuilt = ROW_COUNT;
+    RETURN rebuilt;
+END;
+$$ language 'plpgsql';
+
+SELECT rebuild_store_rating_stats();
+
+-- The summary view now reads the aggregates instead of grouping ratings
+DROP VIEW IF EXISTS store_ratings_summary;
+CREATE VIEW store_ratings_summary AS
+SELECT
+    s.id,
+    s.name,
+    s.email,
+    s.address,
+    s.owner_id,
+    COALESCE(st.rating_count, 0) as total_ratings,
+    COALESCE(st.rating_sum::NUMERIC / NULLIF(st.rating_count, 0), 0) as average_rating,
+    s.created_at,
+    s.updated_at
+FROM stores s
+LEFT JOIN store_rating_stats st ON st.store_id = s.id;
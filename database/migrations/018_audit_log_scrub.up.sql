@@ -0,0 +1,12 @@
+-- The audit log stays append-only, except that closing an account may clear
+-- the email of the entries its user made (actor_email); nothing else changes.
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.actor_email IS NULL
+        AND to_jsonb(NEW) - 'actor_email' = to_jsonb(OLD) - 'actor_email' THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
@@ -10,6 +10,11 @@ const userRoutes = require('./routes/users');
 const storeRoutes = require('./routes/stores');
 const ratingRoutes = require('./routes/ratings');
 const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const { getStorage } = require('./services/storage');
+const { getTransport } = require('./services/mailer');
+const { startDigestScheduler } = require('./services/digest');
+const { startAccountDeletionScheduler } = require('./services/accounts');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -55,12 +60,23 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
 }
 
+// Serve uploaded images when they are stored on local disk
+const storage = getStorage();
+if (storage.uploadDir) {
+  app.use('/uploads', express.static(storage.uploadDir, {
+    maxAge: '7d',
+    // Images are embedded by the frontend, which runs on another origin
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/stores', storeRoutes);
 app.use('/api/ratings', ratingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -90,10 +106,20 @@ app.use('*', (req, res) => {
   }
 });
 
+// Fail at startup rather than on the first email if mail is misconfigured
+getTransport();
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://0.0.0.0:${PORT}/api/health`);
   console.log(`🌐 Railway URL: https://roxlier-backend.up.railway.app`);
   console.log(`🔌 Railway expects port: 8080`);
+
+  if (startDigestScheduler()) {
+    console.log('📬 Weekly digest scheduler enabled');
+  }
+  if (startAccountDeletionScheduler()) {
+    console.log('🗑️ Account deletion scheduler enabled');
+  }
 });
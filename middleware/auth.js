@@ -1,31 +1,63 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 
-const authenticateToken = async (req, res, next) => {
+const bearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Build an authentication middleware around a token extractor
+const authenticate = (getToken) => async (req, res, next) => {
+  const token = getToken(req);
 
   if (!token) {
     return res.status(401).json({ message: 'Access token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user details from database
-    const result = await pool.query('SELECT id, name, email, role, address FROM users WHERE id = $1', [decoded.userId]);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      // Clients refresh the token pair on this code
+      return res.status(401).json({ message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(403).json({ message: 'Invalid or expired token' });
+  }
+
+  // Tokens issued before sessions existed carry no session id and cannot be revoked
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Session expired, please log in again' });
+  }
+
+  try {
+    // Get user details from database, only while the session is still active
+    const result = await pool.query(`
+      SELECT u.id, u.name, u.email, u.role, u.address
+      FROM users u
+      JOIN user_sessions us ON us.user_id = u.id
+      WHERE u.id = $1 AND us.id = $2
+        AND us.revoked_at IS NULL AND us.expires_at > NOW()
+    `, [decoded.userId, decoded.sid]);
     
     if (result.rows.length === 0) {
-      return res.status(401).json({ message: 'Invalid token' });
+      return res.status(401).json({ message: 'Session has been revoked' });
     }
 
     req.user = result.rows[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    return res.status(403).json({ message: 'Invalid or expired token' });
+    console.error('Authentication error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
   }
 };
 
+const authenticateToken = authenticate(bearerToken);
+
+// EventSource cannot send headers, so event streams also accept ?access_token=
+const authenticateEventStream = authenticate((req) => bearerToken(req) || req.query.access_token);
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -40,4 +72,4 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { authenticateToken, requireRole };
+module.exports = { authenticateToken, authenticateEventStream, requireRole };
@@ -0,0 +1,72 @@
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES) || 2 * 1024 * 1024;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Browsers and spreadsheet apps label CSV files inconsistently
+const ALLOWED_CSV_TYPES = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+
+// Files are kept in memory only until they are re-encoded and stored
+const imageUpload = (maxFiles) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only JPEG, PNG and WebP images are allowed';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// A single CSV file, kept in memory for the importer
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_CSV_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only CSV files are allowed';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Run a multer middleware and answer upload errors with 400 instead of 500
+const handleUploadErrors = (uploadMiddleware, maxBytes = MAX_UPLOAD_BYTES) => (req, res, next) => {
+  uploadMiddleware(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Each file must be at most ${Math.round(maxBytes / (1024 * 1024))} MB`
+        : error.code === 'LIMIT_FILE_COUNT'
+          ? 'Too many files uploaded'
+          : error.message;
+      return res.status(400).json({ message });
+    }
+
+    next(error);
+  });
+};
+
+// Single image in the given multipart field
+const uploadImage = (field) => handleUploadErrors(imageUpload(1).single(field));
+
+// Up to maxCount images in the given multipart field
+const uploadImages = (field, maxCount) => handleUploadErrors(imageUpload(maxCount).array(field, maxCount));
+
+// Single CSV file in the given multipart field
+const uploadCsv = (field) => handleUploadErrors(csvUpload.single(field), MAX_IMPORT_BYTES);
+
+module.exports = { uploadImage, uploadImages, uploadCsv };
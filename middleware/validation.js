@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -11,6 +11,19 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Run a validation chain list (e.g. validateStoreCreation) against a plain
+// object outside of a request, such as a row of an imported CSV file.
+// Returns the errors and the sanitized data.
+const runValidation = async (rules, data) => {
+  const req = { body: { ...data } };
+  for (const rule of rules) {
+    if (typeof rule.run === 'function') {
+      await rule.run(req);
+    }
+  }
+  return { errors: validationResult(req).array(), data: req.body };
+};
+
 const validateUserRegistration = [
   body('name')
     .isLength({ min: 20, max: 60 })
@@ -29,6 +42,46 @@ const validateUserRegistration = [
   handleValidationErrors
 ];
 
+// Admin full update of a user (password is changed through its own flow)
+const validateUserUpdate = [
+  body('name')
+    .isLength({ min: 20, max: 60 })
+    .withMessage('Name must be between 20 and 60 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Must be a valid email address'),
+  // PUT replaces the whole user, so the address must be sent too (it may be empty)
+  body('address')
+    .exists()
+    .withMessage('Address is required')
+    .bail()
+    .isLength({ max: 400 })
+    .withMessage('Address must not exceed 400 characters'),
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required'),
+  handleValidationErrors
+];
+
+// Admin partial update of a user
+const validateUserPatch = [
+  body('name')
+    .optional()
+    .isLength({ min: 20, max: 60 })
+    .withMessage('Name must be between 20 and 60 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Must be a valid email address'),
+  body('address')
+    .optional()
+    .isLength({ max: 400 })
+    .withMessage('Address must not exceed 400 characters'),
+  handleValidationErrors
+];
+
 const validateUserLogin = [
   body('email')
     .isEmail()
@@ -40,6 +93,31 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Optional category, tags and coordinates, shared by store creation and updates
+const optionalStoreRules = () => [
+  body('categoryId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Category must be a valid category id'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be a list of at most 10 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+];
+
 const validateStoreCreation = [
   body('name')
     .notEmpty()
@@ -51,32 +129,159 @@ const validateStoreCreation = [
   body('address')
     .isLength({ max: 400 })
     .withMessage('Address must not exceed 400 characters'),
+  ...optionalStoreRules(),
+  handleValidationErrors
+];
+
+// Admin partial update of a store
+const validateStorePatch = [
+  body('name')
+    .optional()
+    .notEmpty()
+    .withMessage('Store name cannot be empty'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Must be a valid email address'),
+  body('address')
+    .optional()
+    .isLength({ max: 400 })
+    .withMessage('Address must not exceed 400 characters'),
+  ...optionalStoreRules(),
+  handleValidationErrors
+];
+
+const validateCategory = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category name must be between 1 and 50 characters'),
   handleValidationErrors
 ];
 
+// criteria holds optional sub-ratings keyed by criterion slug, e.g.
+// { "service": 4, "price": 2 }; which slugs a store accepts is checked by the route
 const validateRating = [
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
+  body('criteria')
+    .optional({ nullable: true })
+    .isObject({ strict: true })
+    .withMessage('Criteria must be an object of criterion scores'),
+  body('criteria.*')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Criterion scores must be between 1 and 5'),
+  handleValidationErrors
+];
+
+const validateCriterion = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Criterion name must be between 1 and 50 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+  handleValidationErrors
+];
+
+const validateReply = [
+  body('reply')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters'),
+  handleValidationErrors
+];
+
+const validateRatingReport = [
+  body('reason')
+    .isIn(['spam', 'offensive', 'off_topic', 'fake', 'other'])
+    .withMessage('Reason must be one of spam, offensive, off_topic, fake or other'),
+  body('details')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Details must not exceed 1000 characters'),
+  handleValidationErrors
+];
+
+const validateRatingVote = [
+  body('helpful')
+    .isBoolean({ strict: true })
+    .withMessage('Helpful must be true or false'),
   handleValidationErrors
 ];
 
+// Shared by password update and password reset
+const newPasswordRule = () => body('newPassword')
+  .isLength({ min: 8, max: 16 })
+  .matches(/^(?=.*[A-Z])(?=.*[!@#$%^&*])/)
+  .withMessage('New password must be 8-16 characters with at least one uppercase letter and one special character');
+
 const validatePasswordUpdate = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 8, max: 16 })
-    .matches(/^(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-    .withMessage('New password must be 8-16 characters with at least one uppercase letter and one special character'),
+  newPasswordRule(),
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Must be a valid email address'),
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  newPasswordRule(),
+  handleValidationErrors
+];
+
+// Filters of the audit log listing; a repeated parameter arrives as an array
+// and is rejected
+const validateAuditQuery = [
+  query(['actorId', 'targetId'])
+    .optional()
+    .not().isArray()
+    .withMessage('actorId and targetId must be given once')
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage('actorId and targetId must be positive integers'),
+  query(['action', 'targetType'])
+    .optional()
+    .isString()
+    .withMessage('action and targetType must be given once'),
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page and limit must be positive integers'),
   handleValidationErrors
 ];
 
 module.exports = {
   validateUserRegistration,
+  validateUserUpdate,
+  validateUserPatch,
   validateUserLogin,
   validateStoreCreation,
+  validateStorePatch,
+  validateCategory,
   validateRating,
+  validateCriterion,
+  validateReply,
+  validateRatingReport,
+  validateRatingVote,
   validatePasswordUpdate,
-  handleValidationErrors
+  validateForgotPassword,
+  validatePasswordReset,
+  validateAuditQuery,
+  handleValidationErrors,
+  runValidation
 };
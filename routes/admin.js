@@ -1,11 +1,38 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const pool = require('../config/database');
+const { ROLES } = require('../config/roles');
+const { geocodeAddress } = require('../services/geocoder');
+const { resolveCoordinates, hasCoordinatePair, setStoreTags } = require('../services/stores');
+const { storeSearchSql } = require('../services/search');
+const { removeImages } = require('../services/images');
+const { notify } = require('../services/notifications');
+const { publishRatingEvent } = require('../services/events');
+const { parseExportFormat, streamExport } = require('../services/export');
+const { importCsv, ImportError } = require('../services/importer');
+const { uploadCsv } = require('../middleware/upload');
+const { recordAudit } = require('../services/audit');
+const { criteriaBreakdown } = require('../services/criteria');
+const { storeScoreSql } = require('../services/scoring');
+const { storeStatsJoin, averageRatingSql, totalRatingsSql } = require('../services/ratingStats');
+const { PaginationError, keysetPagination } = require('../services/pagination');
+const { invalidateStoreCache } = require('../services/cache');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validateUserRegistration, validateStoreCreation } = require('../middleware/validation');
+const {
+  validateUserRegistration,
+  validateUserUpdate,
+  validateUserPatch,
+  validateStoreCreation,
+  validateStorePatch,
+  validateCategory,
+  validateCriterion,
+  validateAuditQuery
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
 // Apply authentication and admin role requirement to all routes
 router.use(authenticateToken);
 router.use(requireRole(['system_admin']));
@@ -38,16 +65,16 @@ router.get('/dashboard', async (req, res) => {
       ORDER BY rating
     `);
 
-    // Get top performing stores
+    // Get top performing stores, ranked by the confidence-weighted score
     const topStores = await pool.query(`
       SELECT s.id, s.name, s.address, 
-             AVG(r.rating) as avg_rating, 
-             COUNT(r.id) as total_ratings
+             ${averageRatingSql} as avg_rating, 
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
-      GROUP BY s.id, s.name, s.address
-      HAVING COUNT(r.id) > 0
-      ORDER BY avg_rating DESC, total_ratings DESC
+      JOIN store_rating_stats stats ON stats.store_id = s.id
+      WHERE stats.rating_count > 0
+      ORDER BY score DESC, total_ratings DESC
       LIMIT 5
     `);
 
@@ -127,7 +154,7 @@ router.post('/users', validateUserRegistration, async (req, res) => {
     const { name, email, password, address, role = 'normal_user' } = req.body;
 
     // Validate role
-    if (!['normal_user', 'store_owner', 'system_admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role specified' });
     }
 
@@ -148,6 +175,8 @@ router.post('/users', validateUserRegistration, async (req, res) => {
       RETURNING id, name, email, address, role, created_at
     `, [name, email, passwordHash, address, role]);
 
+    await recordAudit(req, { action: 'user.create', targetType: 'user', targetId: result.rows[0].id, after: result.rows[0] });
+
     res.status(201).json({
       message: 'User created successfully',
       user: result.rows[0]
@@ -194,37 +223,62 @@ router.get('/analytics', async (req, res) => {
         s.id,
         s.name,
         s.address,
-        COUNT(r.id) as total_ratings,
-        AVG(r.rating) as avg_rating,
-        MIN(r.rating) as min_rating,
-        MAX(r.rating) as max_rating,
-        COUNT(CASE WHEN r.rating >= 4 THEN 1 END) as positive_ratings,
-        COUNT(CASE WHEN r.rating <= 2 THEN 1 END) as negative_ratings
+        ${totalRatingsSql} as total_ratings,
+        stats.rating_sum::NUMERIC / NULLIF(stats.rating_count, 0) as avg_rating,
+        CASE WHEN stats.count_1 > 0 THEN 1 WHEN stats.count_2 > 0 THEN 2 WHEN stats.count_3 > 0 THEN 3
+             WHEN stats.count_4 > 0 THEN 4 WHEN stats.count_5 > 0 THEN 5 END as min_rating,
+        CASE WHEN stats.count_5 > 0 THEN 5 WHEN stats.count_4 > 0 THEN 4 WHEN stats.count_3 > 0 THEN 3
+             WHEN stats.count_2 > 0 THEN 2 WHEN stats.count_1 > 0 THEN 1 END as max_rating,
+        COALESCE(stats.count_4 + stats.count_5, 0) as positive_ratings,
+        COALESCE(stats.count_1 + stats.count_2, 0) as negative_ratings
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
-      GROUP BY s.id, s.name, s.address
+      ${storeStatsJoin}
       ORDER BY avg_rating DESC NULLS LAST
     `);
 
-    // Get geographic distribution
+    // Per-criterion averages and distributions of each store
+    const criteria = await criteriaBreakdown(storePerformance.rows.map(store => store.id));
+    storePerformance.rows.forEach(store => {
+      store.criteria = criteria[store.id];
+    });
+
+    // Get geographic distribution on a grid of gridSize x gridSize degree cells
+    const gridSize = Math.min(Math.max(parseFloat(req.query.gridSize) || 0.5, 0.01), 10);
     const geoDistribution = await pool.query(`
       SELECT 
-        SUBSTRING(s.address FROM 1 FOR 50) as location,
-        COUNT(s.id) as store_count,
+        cells.cell_latitude,
+        cells.cell_longitude,
+        cells.cell_latitude + $1::DOUBLE PRECISION / 2 as center_latitude,
+        cells.cell_longitude + $1::DOUBLE PRECISION / 2 as center_longitude,
+        COUNT(DISTINCT cells.id) as store_count,
+        COUNT(r.id) as total_ratings,
         AVG(r.rating) as avg_rating
-      FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
-      GROUP BY SUBSTRING(s.address FROM 1 FOR 50)
-      HAVING COUNT(s.id) > 1
-      ORDER BY store_count DESC
+      FROM (
+        SELECT s.id,
+               FLOOR(s.latitude / $1::DOUBLE PRECISION) * $1::DOUBLE PRECISION as cell_latitude,
+               FLOOR(s.longitude / $1::DOUBLE PRECISION) * $1::DOUBLE PRECISION as cell_longitude
+        FROM stores s
+        WHERE s.latitude IS NOT NULL AND s.longitude IS NOT NULL
+      ) cells
+      LEFT JOIN ratings r ON cells.id = r.store_id
+      GROUP BY cells.cell_latitude, cells.cell_longitude
+      ORDER BY store_count DESC, total_ratings DESC
       LIMIT 10
+    `, [gridSize]);
+
+    const ungeocodedStores = await pool.query(`
+      SELECT COUNT(*) FROM stores WHERE latitude IS NULL OR longitude IS NULL
     `);
 
     res.json({
       ratingTrends: ratingTrends.rows,
       userEngagement: userEngagement.rows,
       storePerformance: storePerformance.rows,
-      geoDistribution: geoDistribution.rows
+      geoDistribution: {
+        gridSize,
+        cells: geoDistribution.rows,
+        storesWithoutLocation: parseInt(ungeocodedStores.rows[0].count)
+      }
     });
 
   } catch (error) {
@@ -233,80 +287,121 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
-// Get all users with filtering and sorting
-router.get('/users', async (req, res) => {
-  try {
-    const { 
-      search, 
-      role, 
-      sortBy = 'name', 
-      sortOrder = 'asc',
-      page = 1,
-      limit = 20
-    } = req.query;
+// Search, role and sort filters of the users list, shared with its export
+const buildUserListQuery = (query) => {
+  const { search, role } = query;
+  let { sortBy = 'name', sortOrder = 'asc' } = query;
 
-    let whereClause = 'WHERE 1=1';
-    let params = [];
-    let paramCount = 0;
+  let whereClause = 'WHERE 1=1';
+  let params = [];
+  let paramCount = 0;
 
-    // Add search filter
-    if (search) {
-      paramCount++;
-      whereClause += ` AND (name ILIKE $${paramCount} OR email ILIKE $${paramCount} OR address ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-    }
+  // Add search filter
+  if (search) {
+    paramCount++;
+    whereClause += ` AND (name ILIKE $${paramCount} OR email ILIKE $${paramCount} OR address ILIKE $${paramCount})`;
+    params.push(`%${search}%`);
+  }
 
-    // Add role filter
-    if (role) {
-      paramCount++;
-      whereClause += ` AND role = $${paramCount}`;
-      params.push(role);
-    }
+  // Add role filter
+  if (role) {
+    paramCount++;
+    whereClause += ` AND role = $${paramCount}`;
+    params.push(role);
+  }
 
-    // Validate sort parameters
-    const allowedSortFields = ['name', 'email', 'address', 'role', 'created_at'];
-    const allowedSortOrders = ['asc', 'desc'];
-    
-    if (!allowedSortFields.includes(sortBy)) sortBy = 'name';
-    if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'asc';
+  // Validate sort parameters
+  const allowedSortFields = ['name', 'email', 'address', 'role', 'created_at'];
+  const allowedSortOrders = ['asc', 'desc'];
+  
+  if (!allowedSortFields.includes(sortBy)) sortBy = 'name';
+  if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'asc';
+
+  return {
+    whereClause,
+    params,
+    sortBy,
+    sortOrder: sortOrder.toUpperCase(),
+    orderBy: `${sortBy} ${sortOrder.toUpperCase()}`
+  };
+};
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) FROM users ${whereClause}`;
-    const countResult = await pool.query(countQuery, params);
-    const totalUsers = parseInt(countResult.rows[0].count);
+// Get all users with filtering and sorting
+router.get('/users', async (req, res) => {
+  try {
+    const { whereClause, params, sortBy, sortOrder } = buildUserListQuery(req.query);
+
+    const countParams = [...params];
+    const pager = keysetPagination(req, {
+      sort: sortBy,
+      order: sortOrder,
+      key: 'id',
+      sortName: `users:${sortBy}:${sortOrder}`,
+      params
+    });
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-    const totalPages = Math.ceil(totalUsers / limit);
+    // Get total count
+    let totalUsers = null;
+    if (pager.includeTotal) {
+      const countResult = await pool.query(`SELECT COUNT(*) FROM users ${whereClause}`, countParams);
+      totalUsers = countResult.rows[0].count;
+    }
 
     // Get users with pagination
     const usersQuery = `
-      SELECT id, name, email, address, role, created_at, updated_at
+      SELECT id, name, email, address, role, created_at, updated_at,
+             ${pager.cursorColumns}
       FROM users 
-      ${whereClause}
-      ORDER BY ${sortBy} ${sortOrder.toUpperCase()}
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      ${whereClause}${pager.where}
+      ORDER BY ${pager.orderBy}
+      ${pager.limitSql}
     `;
-    
-    params.push(parseInt(limit), offset);
+
     const usersResult = await pool.query(usersQuery, params);
+    const { rows: users, pagination } = pager.finish(usersResult.rows, { total: totalUsers, totalKey: 'totalUsers' });
 
-    res.json({
-      users: usersResult.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalUsers,
-        limit: parseInt(limit)
-      }
-    });
+    res.json({ users, pagination });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Users fetch error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// Export users matching the list filters (?format=csv|ndjson)
+router.get('/users/export', async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ message: 'Format must be csv or ndjson' });
+    }
+
+    const { whereClause, params, orderBy } = buildUserListQuery(req.query);
+
+    await recordAudit(req, { action: 'export.users', targetType: 'user', metadata: { format, query: req.query } });
+
+    await streamExport(req, res, {
+      sql: `
+        SELECT id, name, email, address, role, created_at, updated_at
+        FROM users
+        ${whereClause}
+        ORDER BY ${orderBy}, id
+      `,
+      params,
+      columns: ['id', 'name', 'email', 'address', 'role', 'created_at', 'updated_at'],
+      format,
+      filename: 'users'
+    });
+
+  } catch (error) {
+    console.error('Users export error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get user details
 router.get('/users/:id', async (req, res) => {
   try {
@@ -324,18 +419,20 @@ router.get('/users/:id', async (req, res) => {
     const user = result.rows[0];
 
     // If user is a store owner, get their store details
+    // `store` is the first store; `stores` lists all of them
     if (user.role === 'store_owner') {
       const storeResult = await pool.query(`
         SELECT s.id, s.name, s.email, s.address, 
-               COALESCE(AVG(r.rating), 0) as average_rating,
-               COUNT(r.id) as total_ratings
+               ${averageRatingSql} as average_rating,
+               ${totalRatingsSql} as total_ratings
         FROM stores s
-        LEFT JOIN ratings r ON s.id = r.store_id
+        ${storeStatsJoin}
         WHERE s.owner_id = $1
-        GROUP BY s.id, s.name, s.email, s.address
+        ORDER BY s.id
       `, [id]);
 
       user.store = storeResult.rows[0] || null;
+      user.stores = storeResult.rows;
     }
 
     res.json({ user });
@@ -346,10 +443,204 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+// Update user (PUT replaces name, email, address and role; PATCH changes only the fields sent)
+const updateUser = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { name, email, address, role } = req.body;
+
+    // Validate role
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role specified' });
+    }
+
+    await client.query('BEGIN');
+
+    const existingUser = await client.query('SELECT id, name, email, address, role FROM users WHERE id = $1 FOR UPDATE', [id]);
+    if (existingUser.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const currentRole = existingUser.rows[0].role;
+
+    // Check the new email is not taken by another user
+    if (email !== undefined) {
+      const emailTaken = await client.query('SELECT id FROM users WHERE email = $1 AND id <> $2', [email, id]);
+      if (emailTaken.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'User with this email already exists' });
+      }
+    }
+
+    if (role !== undefined && role !== currentRole) {
+      // Never demote the last system admin
+      if (currentRole === 'system_admin') {
+        const admins = await client.query("SELECT id FROM users WHERE role = 'system_admin' FOR UPDATE");
+        if (admins.rows.length <= 1) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Cannot demote the last system admin' });
+        }
+      }
+
+      // Stores must always be owned by a store_owner
+      if (currentRole === 'store_owner') {
+        const ownedStores = await client.query('SELECT COUNT(*) FROM stores WHERE owner_id = $1', [id]);
+        const storeCount = parseInt(ownedStores.rows[0].count);
+        if (storeCount > 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            message: `User still owns ${storeCount} store(s); reassign them before changing the role`
+          });
+        }
+      }
+    }
+
+    // Build update query dynamically
+    let updateFields = [];
+    let params = [];
+    let paramCount = 0;
+
+    const fields = { name, email, address, role };
+    Object.keys(fields).forEach(field => {
+      if (fields[field] !== undefined) {
+        paramCount++;
+        updateFields.push(`${field} = $${paramCount}`);
+        params.push(fields[field]);
+      }
+    });
+
+    if (updateFields.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    paramCount++;
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(id);
+
+    const result = await client.query(`
+      UPDATE users
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING id, name, email, address, role, created_at, updated_at
+    `, params);
+
+    // Role changes get their own action so they are easy to find
+    await recordAudit(req, {
+      action: result.rows[0].role !== currentRole ? 'user.role_change' : 'user.update',
+      targetType: 'user',
+      targetId: id,
+      before: existingUser.rows[0],
+      after: result.rows[0],
+      db: client
+    });
+
+    await client.query('COMMIT');
+
+    // Store ratings show the author's name
+    if (result.rows[0].name !== existingUser.rows[0].name) {
+      await invalidateStoreCache();
+    }
+
+    res.json({
+      message: 'User updated successfully',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('User update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+};
+
+router.put('/users/:id', validateUserUpdate, updateUser);
+router.patch('/users/:id', validateUserPatch, updateUser);
+
+// Delete user
+// Their ratings are removed with them (ON DELETE CASCADE) and any stores they
+// own are kept but left without an owner.
+router.delete('/users/:id', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const existingUser = await client.query('SELECT id, name, email, address, role FROM users WHERE id = $1 FOR UPDATE', [id]);
+    if (existingUser.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Never delete the last system admin
+    if (existingUser.rows[0].role === 'system_admin') {
+      const admins = await client.query("SELECT id FROM users WHERE role = 'system_admin' FOR UPDATE");
+      if (admins.rows.length <= 1) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Cannot delete the last system admin' });
+      }
+    }
+
+    const ratingCount = await client.query('SELECT COUNT(*) FROM ratings WHERE user_id = $1', [id]);
+
+    const unassignedStores = await client.query(`
+      UPDATE stores SET owner_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE owner_id = $1
+      RETURNING id
+    `, [id]);
+
+    await client.query('DELETE FROM users WHERE id = $1', [id]);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: id,
+      before: existingUser.rows[0],
+      metadata: {
+        ratingsRemoved: parseInt(ratingCount.rows[0].count),
+        storesUnassigned: unassignedStores.rows.map(store => store.id)
+      },
+      db: client
+    });
+
+    await client.query('COMMIT');
+
+    // Their ratings went with them
+    await invalidateStoreCache();
+
+    res.json({
+      message: 'User deleted successfully',
+      deleted: {
+        userId: parseInt(id),
+        ratingsRemoved: parseInt(ratingCount.rows[0].count),
+        storesUnassigned: unassignedStores.rows.map(store => store.id)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('User deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // Add new store
 router.post('/stores', validateStoreCreation, async (req, res) => {
   try {
-    const { name, email, address, ownerId } = req.body;
+    const { name, email, address, ownerId, categoryId, tags = [], latitude, longitude } = req.body;
+
+    if (!hasCoordinatePair(latitude, longitude)) {
+      return res.status(400).json({ message: 'Latitude and longitude must be given together' });
+    }
 
     // Check if store already exists
     const existingStore = await pool.query('SELECT id FROM stores WHERE email = $1', [email]);
@@ -357,6 +648,14 @@ router.post('/stores', validateStoreCreation, async (req, res) => {
       return res.status(400).json({ message: 'Store with this email already exists' });
     }
 
+    // Verify category exists
+    if (categoryId) {
+      const categoryResult = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryResult.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+
     // Verify owner exists and is a store owner
     if (ownerId) {
       const ownerResult = await pool.query('SELECT role FROM users WHERE id = $1', [ownerId]);
@@ -368,16 +667,33 @@ router.post('/stores', validateStoreCreation, async (req, res) => {
       }
     }
 
+    const coordinates = await resolveCoordinates(latitude, longitude, address);
+
     // Create store
     const result = await pool.query(`
-      INSERT INTO stores (name, email, address, owner_id)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, name, email, address, owner_id, created_at
-    `, [name, email, address, ownerId || null]);
+      INSERT INTO stores (name, email, address, owner_id, category_id, latitude, longitude, geocoded_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, name, email, address, owner_id, category_id, latitude, longitude, geocoded_by, created_at
+    `, [
+      name,
+      email,
+      address,
+      ownerId || null,
+      categoryId || null,
+      coordinates ? coordinates.latitude : null,
+      coordinates ? coordinates.longitude : null,
+      coordinates ? coordinates.provider : null
+    ]);
+
+    const store = result.rows[0];
+    store.tags = await setStoreTags(store.id, tags);
+
+    await recordAudit(req, { action: 'store.create', targetType: 'store', targetId: store.id, after: store });
+    await invalidateStoreCache(store.id);
 
     res.status(201).json({
       message: 'Store created successfully',
-      store: result.rows[0]
+      store
     });
 
   } catch (error) {
@@ -386,131 +702,1107 @@ router.post('/stores', validateStoreCreation, async (req, res) => {
   }
 });
 
+// Search and sort filters of the stores list, shared with its export.
+// search is a full-text search over name, address and review comments, plus a
+// substring match on the store email.
+const buildStoreListQuery = (query) => {
+  const { search } = query;
+  let {
+    sortBy = search ? 'relevance' : 'name',
+    sortOrder = sortBy === 'relevance' ? 'desc' : 'asc'
+  } = query;
+
+  let whereClause = 'WHERE 1=1';
+  let params = [];
+  let paramCount = 0;
+
+  // Add search filter
+  let searchSql = null;
+  if (search) {
+    searchSql = storeSearchSql(`$${paramCount + 1}`);
+    whereClause += ` AND (${searchSql.match} OR s.email ILIKE $${paramCount + 2})`;
+    params.push(search, `%${search}%`);
+    paramCount += 2;
+  }
+
+  // Validate sort parameters
+  const allowedSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'score', 'created_at'];
+  if (searchSql) allowedSortFields.push('relevance');
+  const allowedSortOrders = ['asc', 'desc'];
+  
+  if (!allowedSortFields.includes(sortBy)) sortBy = 'name';
+  if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'asc';
+
+  const sort = {
+    relevance: searchSql && searchSql.rank,
+    average_rating: averageRatingSql,
+    total_ratings: totalRatingsSql,
+    score: storeScoreSql()
+  }[sortBy] || `s.${sortBy}`;
+
+  return {
+    whereClause,
+    params,
+    searchSql,
+    sortBy,
+    sortOrder: sortOrder.toUpperCase(),
+    sort,
+    orderBy: `${sortBy} ${sortOrder.toUpperCase()}`
+  };
+};
+
 // Get all stores with filtering and sorting
 router.get('/stores', async (req, res) => {
   try {
-    const { 
-      search, 
-      sortBy = 'name', 
-      sortOrder = 'asc',
-      page = 1,
-      limit = 20
-    } = req.query;
-
-    let whereClause = 'WHERE 1=1';
-    let params = [];
-    let paramCount = 0;
-
-    // Add search filter
-    if (search) {
-      paramCount++;
-      whereClause += ` AND (s.name ILIKE $${paramCount} OR s.email ILIKE $${paramCount} OR s.address ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-    }
-
-    // Validate sort parameters
-    const allowedSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'created_at'];
-    const allowedSortOrders = ['asc', 'desc'];
-    
-    if (!allowedSortFields.includes(sortBy)) sortBy = 'name';
-    if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'asc';
+    const { whereClause, params, searchSql, sortBy, sortOrder, sort } = buildStoreListQuery(req.query);
+
+    const countParams = [...params];
+    const pager = keysetPagination(req, {
+      sort,
+      order: sortOrder,
+      key: 's.id',
+      sortName: `admin-stores:${sortBy}:${sortOrder}`,
+      params
+    });
 
     // Get total count
-    const countQuery = `SELECT COUNT(*) FROM stores s ${whereClause}`;
-    const countResult = await pool.query(countQuery, params);
-    const totalStores = parseInt(countResult.rows[0].count);
-
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-    const totalPages = Math.ceil(totalStores / limit);
+    let totalStores = null;
+    if (pager.includeTotal) {
+      const countResult = await pool.query(`SELECT COUNT(*) FROM stores s ${whereClause}`, countParams);
+      totalStores = countResult.rows[0].count;
+    }
 
     // Get stores with ratings and pagination
     const storesQuery = `
       SELECT s.id, s.name, s.email, s.address, s.created_at,
-             COALESCE(AVG(r.rating), 0) as average_rating,
-             COUNT(r.id) as total_ratings,
-             u.name as owner_name
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score,
+             u.name as owner_name,
+             c.name as category_name,
+             ARRAY(SELECT st.tag FROM store_tags st WHERE st.store_id = s.id ORDER BY st.tag) as tags,
+             ${pager.cursorColumns}
+             ${searchSql ? `, ${searchSql.rank} as relevance, ${searchSql.commentSnippet} as comment_snippet` : ''}
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
+      ${storeStatsJoin}
       LEFT JOIN users u ON s.owner_id = u.id
-      ${whereClause}
-      GROUP BY s.id, s.name, s.email, s.address, s.created_at, u.name
-      ORDER BY ${sortBy === 'average_rating' ? 'average_rating' : sortBy} ${sortOrder.toUpperCase()}
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      LEFT JOIN categories c ON s.category_id = c.id
+      ${whereClause}${pager.where}
+      ORDER BY ${pager.orderBy}
+      ${pager.limitSql}
     `;
-    
-    params.push(parseInt(limit), offset);
+
     const storesResult = await pool.query(storesQuery, params);
+    const { rows: stores, pagination } = pager.finish(storesResult.rows, { total: totalStores, totalKey: 'totalStores' });
 
-    res.json({
-      stores: storesResult.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalStores,
-        limit: parseInt(limit)
-      }
-    });
+    res.json({ stores, pagination });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Stores fetch error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Get user's ratings (admin endpoint)
-router.get('/users/:userId/ratings', async (req, res) => {
+// Export stores matching the list filters (?format=csv|ndjson)
+router.get('/stores/export', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { 
-      sortBy = 'created_at', 
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
-    } = req.query;
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ message: 'Format must be csv or ndjson' });
+    }
 
-    // Validate sort parameters
-    const allowedSortFields = ['rating', 'created_at', 'store_name'];
-    const allowedSortOrders = ['asc', 'desc'];
-    
-    if (!allowedSortFields.includes(sortBy)) sortBy = 'created_at';
-    if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'desc';
+    const { whereClause, params, searchSql, orderBy } = buildStoreListQuery(req.query);
+
+    await recordAudit(req, { action: 'export.stores', targetType: 'store', metadata: { format, query: req.query } });
+
+    await streamExport(req, res, {
+      sql: `
+        SELECT s.id, s.name, s.email, s.address,
+               c.name as category_name,
+               ARRAY(SELECT st.tag FROM store_tags st WHERE st.store_id = s.id ORDER BY st.tag) as tags,
+               s.latitude, s.longitude,
+               u.name as owner_name, u.email as owner_email,
+               ${averageRatingSql} as average_rating,
+               ${totalRatingsSql} as total_ratings,
+               ${storeScoreSql()} as score,
+               s.created_at
+               ${searchSql ? `, ${searchSql.rank} as relevance` : ''}
+        FROM stores s
+        ${storeStatsJoin}
+        LEFT JOIN users u ON s.owner_id = u.id
+        LEFT JOIN categories c ON s.category_id = c.id
+        ${whereClause}
+        ORDER BY ${orderBy}, s.id
+      `,
+      params,
+      columns: [
+        'id', 'name', 'email', 'address', 'category_name', 'tags', 'latitude', 'longitude',
+        'owner_name', 'owner_email', 'average_rating', 'total_ratings', 'score', 'created_at'
+      ],
+      format,
+      filename: 'stores'
+    });
 
-    // Get total count
-    const countResult = await pool.query(`
-      SELECT COUNT(*) FROM ratings WHERE user_id = $1
-    `, [userId]);
-    const totalRatings = parseInt(countResult.rows[0].count);
+  } catch (error) {
+    console.error('Stores export error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-    const totalPages = Math.ceil(totalRatings / limit);
+// Update store (PUT replaces name, email, address, owner, category and tags;
+// PATCH changes only the fields sent)
+// Send "ownerId": null to leave the store without an owner. When the address
+// changes without new coordinates, the store is geocoded again.
+const updateStore = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, email, address, ownerId, categoryId, latitude, longitude } = req.body;
+    let { tags } = req.body;
 
-    // Get ratings with store details and pagination
-    const ratingsQuery = `
-      SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
-             s.id as store_id, s.name as store_name, s.address as store_address
-      FROM ratings r
-      JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
-      ORDER BY ${sortBy === 'store_name' ? 's.name' : sortBy} ${sortOrder.toUpperCase()}
-      LIMIT $2 OFFSET $3
-    `;
-    
-    const ratingsResult = await pool.query(ratingsQuery, [userId, parseInt(limit), offset]);
+    if (!hasCoordinatePair(latitude, longitude)) {
+      return res.status(400).json({ message: 'Latitude and longitude must be given together' });
+    }
 
-    res.json({
-      ratings: ratingsResult.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalRatings,
-        limit: parseInt(limit)
+    const existingStore = await pool.query(`
+      SELECT id, name, email, address, owner_id, category_id, latitude, longitude, geocoded_by,
+             ARRAY(SELECT st.tag FROM store_tags st WHERE st.store_id = stores.id ORDER BY st.tag) as tags
+      FROM stores WHERE id = $1
+    `, [id]);
+    if (existingStore.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    // Check the new email is not taken by another store
+    if (email !== undefined) {
+      const emailTaken = await pool.query('SELECT id FROM stores WHERE email = $1 AND id <> $2', [email, id]);
+      if (emailTaken.rows.length > 0) {
+        return res.status(400).json({ message: 'Store with this email already exists' });
+      }
+    }
+
+    // Verify owner exists and is a store owner
+    if (ownerId) {
+      const ownerResult = await pool.query('SELECT role FROM users WHERE id = $1', [ownerId]);
+      if (ownerResult.rows.length === 0) {
+        return res.status(400).json({ message: 'Owner not found' });
+      }
+      if (ownerResult.rows[0].role !== 'store_owner') {
+        return res.status(400).json({ message: 'Owner must have store_owner role' });
+      }
+    }
+
+    // Verify category exists
+    if (categoryId) {
+      const categoryResult = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryResult.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+
+    // Build update query dynamically
+    let updateFields = [];
+    let params = [];
+    let paramCount = 0;
+
+    const fields = {
+      name,
+      email,
+      address,
+      owner_id: ownerId === undefined ? undefined : (ownerId || null),
+      category_id: categoryId === undefined ? undefined : (categoryId || null)
+    };
+    // PUT replaces owner, category and tags too, so missing ones are cleared
+    if (req.method === 'PUT') {
+      if (ownerId === undefined) fields.owner_id = null;
+      if (categoryId === undefined) fields.category_id = null;
+      if (tags === undefined) tags = [];
+    }
+
+    // Explicit coordinates (null clears them), or geocode a changed address
+    if (latitude === null) {
+      Object.assign(fields, { latitude: null, longitude: null, geocoded_by: null });
+    } else if (latitude !== undefined || (address !== undefined && address !== existingStore.rows[0].address)) {
+      const coordinates = await resolveCoordinates(latitude, longitude, address);
+      Object.assign(fields, {
+        latitude: coordinates ? coordinates.latitude : null,
+        longitude: coordinates ? coordinates.longitude : null,
+        geocoded_by: coordinates ? coordinates.provider : null
+      });
+    }
+
+    Object.keys(fields).forEach(field => {
+      if (fields[field] !== undefined) {
+        paramCount++;
+        updateFields.push(`${field} = $${paramCount}`);
+        params.push(fields[field]);
       }
     });
 
-  } catch (error) {
-    console.error('User ratings fetch error:', error);
+    if (updateFields.length === 0 && tags === undefined) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    paramCount++;
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(id);
+
+    const result = await pool.query(`
+      UPDATE stores
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING id, name, email, address, owner_id, category_id, latitude, longitude, geocoded_by, created_at, updated_at
+    `, params);
+
+    const store = result.rows[0];
+    if (tags !== undefined) {
+      store.tags = await setStoreTags(store.id, tags);
+    } else {
+      const tagsResult = await pool.query('SELECT tag FROM store_tags WHERE store_id = $1 ORDER BY tag', [store.id]);
+      store.tags = tagsResult.rows.map(row => row.tag);
+    }
+
+    // Owner assignments get their own action so they are easy to find
+    await recordAudit(req, {
+      action: store.owner_id !== existingStore.rows[0].owner_id ? 'store.owner_change' : 'store.update',
+      targetType: 'store',
+      targetId: id,
+      before: existingStore.rows[0],
+      after: store
+    });
+    await invalidateStoreCache(id);
+
+    res.json({
+      message: 'Store updated successfully',
+      store
+    });
+
+  } catch (error) {
+    console.error('Store update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+router.put('/stores/:id', validateStoreCreation, updateStore);
+router.patch('/stores/:id', validateStorePatch, updateStore);
+
+// Geocode a store again from its current address
+router.post('/stores/:id/geocode', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const storeResult = await pool.query('SELECT id, address, latitude, longitude, geocoded_by FROM stores WHERE id = $1', [id]);
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    const coordinates = await geocodeAddress(storeResult.rows[0].address);
+    if (!coordinates) {
+      return res.status(422).json({ message: 'Address could not be geocoded' });
+    }
+
+    const result = await pool.query(`
+      UPDATE stores SET latitude = $1, longitude = $2, geocoded_by = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id, name, address, latitude, longitude, geocoded_by
+    `, [coordinates.latitude, coordinates.longitude, coordinates.provider, id]);
+
+    await recordAudit(req, {
+      action: 'store.geocode',
+      targetType: 'store',
+      targetId: id,
+      before: storeResult.rows[0],
+      after: result.rows[0]
+    });
+    await invalidateStoreCache(id);
+
+    res.json({
+      message: 'Store geocoded successfully',
+      store: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Store geocoding error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete store
+// All ratings of the store are removed with it (ON DELETE CASCADE), along with
+// the cover image and rating photo files.
+router.delete('/stores/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ratingCount = await pool.query('SELECT COUNT(*) FROM ratings WHERE store_id = $1', [id]);
+
+    // Cover image and rating photos of the store
+    const images = await pool.query(`
+      SELECT cover_image_key as image_key, cover_thumbnail_key as thumbnail_key FROM stores WHERE id = $1
+      UNION ALL
+      SELECT rp.image_key, rp.thumbnail_key
+      FROM rating_photos rp
+      JOIN ratings r ON rp.rating_id = r.id
+      WHERE r.store_id = $1
+    `, [id]);
+
+    const result = await pool.query('DELETE FROM stores WHERE id = $1 RETURNING id, name, email, address, owner_id, category_id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    await removeImages(images.rows);
+
+    await recordAudit(req, {
+      action: 'store.delete',
+      targetType: 'store',
+      targetId: id,
+      before: result.rows[0],
+      metadata: { ratingsRemoved: parseInt(ratingCount.rows[0].count) }
+    });
+    await invalidateStoreCache(id);
+
+    res.json({
+      message: 'Store deleted successfully',
+      deleted: {
+        storeId: result.rows[0].id,
+        name: result.rows[0].name,
+        ratingsRemoved: parseInt(ratingCount.rows[0].count)
+      }
+    });
+
+  } catch (error) {
+    console.error('Store deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get user's ratings (admin endpoint)
+router.get('/users/:userId/ratings', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { 
+      sortBy = 'created_at', 
+      sortOrder = 'desc',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    // Validate sort parameters
+    const allowedSortFields = ['rating', 'created_at', 'store_name'];
+    const allowedSortOrders = ['asc', 'desc'];
+    
+    if (!allowedSortFields.includes(sortBy)) sortBy = 'created_at';
+    if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'desc';
+
+    // Get total count
+    const countResult = await pool.query(`
+      SELECT COUNT(*) FROM ratings WHERE user_id = $1
+    `, [userId]);
+    const totalRatings = parseInt(countResult.rows[0].count);
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+    const totalPages = Math.ceil(totalRatings / limit);
+
+    // Get ratings with store details and pagination
+    const ratingsQuery = `
+      SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at, r.edited_at,
+             s.id as store_id, s.name as store_name, s.address as store_address
+      FROM ratings r
+      JOIN stores s ON r.store_id = s.id
+      WHERE r.user_id = $1
+      ORDER BY ${sortBy === 'store_name' ? 's.name' : sortBy} ${sortOrder.toUpperCase()}
+      LIMIT $2 OFFSET $3
+    `;
+    
+    const ratingsResult = await pool.query(ratingsQuery, [userId, parseInt(limit), offset]);
+
+    res.json({
+      ratings: ratingsResult.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRatings,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('User ratings fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Bulk import users or stores from a CSV file (multipart field "file").
+// ?dryRun=true validates every row without saving anything. The import runs in
+// one transaction: when any row fails, nothing is imported and all row errors
+// are returned.
+router.post('/import/:type', uploadCsv('file'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV file is required' });
+    }
+
+    const result = await importCsv(type, req.file.buffer.toString('utf8'), { dryRun });
+
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        message: `Import failed: ${result.errors.length} error(s), nothing was imported`,
+        ...result
+      });
+    }
+
+    if (result.committed) {
+      await recordAudit(req, {
+        action: `import.${type}`,
+        targetType: type === 'users' ? 'user' : 'store',
+        metadata: {
+          filename: req.file.originalname,
+          created: result.created.length,
+          ids: result.created.map(record => record.id)
+        }
+      });
+    }
+    if (result.committed && type === 'stores') {
+      await invalidateStoreCache();
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? `Dry run passed: ${result.validRows} row(s) can be imported`
+        : `Imported ${result.created.length} ${type}`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Import error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List store categories with the number of stores in each
+router.get('/categories', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.slug, c.created_at, COUNT(s.id) as store_count,
+             COALESCE((
+               SELECT JSON_AGG(JSON_BUILD_OBJECT('id', rc.id, 'name', rc.name, 'slug', rc.slug) ORDER BY rc.position, rc.id)
+               FROM rating_criteria rc WHERE rc.category_id = c.id
+             ), '[]') as criteria
+      FROM categories c
+      LEFT JOIN stores s ON s.category_id = c.id
+      GROUP BY c.id, c.name, c.slug, c.created_at
+      ORDER BY c.name
+    `);
+
+    res.json({ categories: result.rows });
+
+  } catch (error) {
+    console.error('Categories fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add new category
+router.post('/categories', validateCategory, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const slug = slugify(name);
+
+    const existingCategory = await pool.query('SELECT id FROM categories WHERE name = $1 OR slug = $2', [name, slug]);
+    if (existingCategory.rows.length > 0) {
+      return res.status(400).json({ message: 'Category with this name already exists' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO categories (name, slug)
+      VALUES ($1, $2)
+      RETURNING id, name, slug, created_at
+    `, [name, slug]);
+
+    await recordAudit(req, { action: 'category.create', targetType: 'category', targetId: result.rows[0].id, after: result.rows[0] });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Category creation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rename category
+router.put('/categories/:id', validateCategory, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+    const slug = slugify(name);
+
+    const existingCategory = await pool.query(
+      'SELECT id FROM categories WHERE (name = $1 OR slug = $2) AND id <> $3',
+      [name, slug, id]
+    );
+    if (existingCategory.rows.length > 0) {
+      return res.status(400).json({ message: 'Category with this name already exists' });
+    }
+
+    // The self-join exposes the row as it was before the update
+    const result = await pool.query(`
+      UPDATE categories c SET name = $1, slug = $2, updated_at = CURRENT_TIMESTAMP
+      FROM categories previous
+      WHERE c.id = $3 AND previous.id = c.id
+      RETURNING c.id, c.name, c.slug, c.created_at, c.updated_at,
+                previous.name as previous_name, previous.slug as previous_slug
+    `, [name, slug, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { previous_name, previous_slug, ...category } = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'category',
+      targetId: id,
+      before: { name: previous_name, slug: previous_slug },
+      after: { name: category.name, slug: category.slug }
+    });
+    await invalidateStoreCache();
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+
+  } catch (error) {
+    console.error('Category update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete category
+// Stores in the category are kept and become uncategorized.
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const storeCount = await pool.query('SELECT COUNT(*) FROM stores WHERE category_id = $1', [id]);
+
+    const result = await pool.query('DELETE FROM categories WHERE id = $1 RETURNING id, name, slug', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: id,
+      before: result.rows[0],
+      metadata: { storesUncategorized: parseInt(storeCount.rows[0].count) }
+    });
+    await invalidateStoreCache();
+
+    res.json({
+      message: 'Category deleted successfully',
+      deleted: {
+        categoryId: result.rows[0].id,
+        name: result.rows[0].name,
+        storesUncategorized: parseInt(storeCount.rows[0].count)
+      }
+    });
+
+  } catch (error) {
+    console.error('Category deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rating criteria of a category (sub-ratings such as service or price).
+// A criterion's slug is the key clients send scores under.
+router.get('/categories/:id/criteria', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const categoryResult = await pool.query('SELECT id, name, slug FROM categories WHERE id = $1', [id]);
+    if (categoryResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT rc.id, rc.name, rc.slug, rc.position, rc.created_at, rc.updated_at,
+             COUNT(rs.rating_id) as total_scores
+      FROM rating_criteria rc
+      LEFT JOIN rating_scores rs ON rs.criterion_id = rc.id
+      WHERE rc.category_id = $1
+      GROUP BY rc.id
+      ORDER BY rc.position, rc.id
+    `, [id]);
+
+    res.json({
+      category: categoryResult.rows[0],
+      criteria: result.rows
+    });
+
+  } catch (error) {
+    console.error('Criteria fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add a rating criterion to a category
+router.post('/categories/:id/criteria', validateCriterion, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, position } = req.body;
+    const slug = slugify(name);
+
+    const categoryResult = await pool.query('SELECT id FROM categories WHERE id = $1', [id]);
+    if (categoryResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const existingCriterion = await pool.query('SELECT id FROM rating_criteria WHERE category_id = $1 AND slug = $2', [id, slug]);
+    if (existingCriterion.rows.length > 0) {
+      return res.status(400).json({ message: 'Criterion with this name already exists in the category' });
+    }
+
+    // New criteria go last unless a position is given
+    const result = await pool.query(`
+      INSERT INTO rating_criteria (category_id, name, slug, position)
+      VALUES ($1, $2, $3, COALESCE($4, (SELECT COALESCE(MAX(position) + 1, 0) FROM rating_criteria WHERE category_id = $1)))
+      RETURNING id, category_id, name, slug, position, created_at
+    `, [id, name, slug, position === undefined ? null : parseInt(position)]);
+
+    await recordAudit(req, { action: 'criterion.create', targetType: 'criterion', targetId: result.rows[0].id, after: result.rows[0] });
+    await invalidateStoreCache();
+
+    res.status(201).json({
+      message: 'Criterion created successfully',
+      criterion: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Criterion creation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rename or reorder a rating criterion
+router.put('/categories/:id/criteria/:criterionId', validateCriterion, async (req, res) => {
+  try {
+    const { id, criterionId } = req.params;
+    const { name, position } = req.body;
+    const slug = slugify(name);
+
+    const existingCriterion = await pool.query(`
+      SELECT id FROM rating_criteria WHERE category_id = $1 AND slug = $2 AND id <> $3
+    `, [id, slug, criterionId]);
+    if (existingCriterion.rows.length > 0) {
+      return res.status(400).json({ message: 'Criterion with this name already exists in the category' });
+    }
+
+    // The self-join exposes the row as it was before the update
+    const result = await pool.query(`
+      UPDATE rating_criteria rc SET name = $1, slug = $2, position = COALESCE($3, rc.position)
+      FROM rating_criteria previous
+      WHERE rc.id = $4 AND rc.category_id = $5 AND previous.id = rc.id
+      RETURNING rc.id, rc.category_id, rc.name, rc.slug, rc.position, rc.created_at, rc.updated_at,
+                previous.name as previous_name, previous.slug as previous_slug, previous.position as previous_position
+    `, [name, slug, position === undefined ? null : parseInt(position), criterionId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Criterion not found' });
+    }
+
+    const { previous_name, previous_slug, previous_position, ...criterion } = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'criterion.update',
+      targetType: 'criterion',
+      targetId: criterionId,
+      before: { name: previous_name, slug: previous_slug, position: previous_position },
+      after: { name: criterion.name, slug: criterion.slug, position: criterion.position }
+    });
+    await invalidateStoreCache();
+
+    res.json({
+      message: 'Criterion updated successfully',
+      criterion
+    });
+
+  } catch (error) {
+    console.error('Criterion update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a rating criterion together with every score given for it
+router.delete('/categories/:id/criteria/:criterionId', async (req, res) => {
+  try {
+    const { id, criterionId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM rating_criteria WHERE id = $1 AND category_id = $2
+      RETURNING id, category_id, name, slug
+    `, [criterionId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Criterion not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'criterion.delete',
+      targetType: 'criterion',
+      targetId: criterionId,
+      before: result.rows[0]
+    });
+    await invalidateStoreCache();
+
+    res.json({
+      message: 'Criterion deleted successfully',
+      criterion: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Criterion deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Moderation queue
+// status=open (default) lists ratings with open reports, status=hidden lists
+// hidden ratings, status=all lists every reported rating.
+router.get('/moderation', async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+
+    const filters = {
+      open: "HAVING COUNT(rep.id) FILTER (WHERE rep.status = 'open') > 0",
+      hidden: 'HAVING BOOL_OR(r.is_hidden)',
+      all: ''
+    };
+
+    if (!Object.prototype.hasOwnProperty.call(filters, status)) {
+      return res.status(400).json({ message: 'Status must be one of open, hidden or all' });
+    }
+
+    // Hidden ratings may have no reports, so they are joined loosely
+    const reportJoin = status === 'hidden' ? 'LEFT JOIN' : 'JOIN';
+    const baseQuery = `
+      FROM ratings r
+      ${reportJoin} rating_reports rep ON rep.rating_id = r.id
+      JOIN stores s ON r.store_id = s.id
+      JOIN users u ON r.user_id = u.id
+      GROUP BY r.id, s.id, s.name, u.name, u.email
+      ${filters[status]}
+    `;
+
+    // Get total count
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (SELECT r.id ${baseQuery}) queue`);
+    const totalItems = parseInt(countResult.rows[0].count);
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const queueResult = await pool.query(`
+      SELECT r.id, r.rating, r.comment, r.is_hidden, r.hidden_at, r.created_at,
+             s.id as store_id, s.name as store_name,
+             u.name as user_name, u.email as user_email,
+             COUNT(rep.id) as total_reports,
+             COUNT(rep.id) FILTER (WHERE rep.status = 'open') as open_reports,
+             ARRAY_REMOVE(ARRAY_AGG(DISTINCT rep.reason), NULL) as reasons,
+             MAX(rep.created_at) as last_reported_at
+      ${baseQuery}
+      ORDER BY open_reports DESC, last_reported_at DESC NULLS LAST
+      LIMIT $1 OFFSET $2
+    `, [parseInt(limit), offset]);
+
+    res.json({
+      ratings: queueResult.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get all reports for a rating
+router.get('/moderation/:ratingId/reports', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const result = await pool.query(`
+      SELECT rep.id, rep.reason, rep.details, rep.status, rep.created_at, rep.resolved_at,
+             u.id as reporter_id, u.name as reporter_name, u.email as reporter_email,
+             resolver.name as resolved_by_name
+      FROM rating_reports rep
+      JOIN users u ON rep.reporter_id = u.id
+      LEFT JOIN users resolver ON rep.resolved_by = resolver.id
+      WHERE rep.rating_id = $1
+      ORDER BY rep.created_at DESC
+    `, [ratingId]);
+
+    res.json({ reports: result.rows });
+
+  } catch (error) {
+    console.error('Rating reports fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Hide a rating from public listings and resolve its open reports
+router.post('/moderation/:ratingId/hide', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    // The self-join exposes the row as it was before the update
+    const result = await pool.query(`
+      UPDATE ratings r SET is_hidden = TRUE, hidden_at = CURRENT_TIMESTAMP, hidden_by = $1
+      FROM ratings previous
+      WHERE r.id = $2 AND previous.id = r.id
+      RETURNING r.id, r.store_id, r.user_id, r.is_hidden, r.hidden_at, previous.is_hidden as was_hidden
+    `, [req.user.id, ratingId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const { user_id: authorId, was_hidden: wasHidden, ...rating } = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'rating.hide',
+      targetType: 'rating',
+      targetId: rating.id,
+      before: { is_hidden: wasHidden },
+      after: { is_hidden: true },
+      metadata: { storeId: rating.store_id, authorId }
+    });
+    // Listings too: search matches the comments of visible ratings
+    await invalidateStoreCache(rating.store_id);
+
+    if (!wasHidden) {
+      await notify({
+        userId: authorId,
+        type: 'rating_hidden',
+        storeId: rating.store_id,
+        ratingId: rating.id,
+        actorId: req.user.id
+      });
+    }
+
+    const reports = await pool.query(`
+      UPDATE rating_reports SET status = 'actioned', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP
+      WHERE rating_id = $2 AND status = 'open'
+    `, [req.user.id, ratingId]);
+
+    res.json({
+      message: 'Rating hidden successfully',
+      rating,
+      resolvedReports: reports.rowCount
+    });
+
+  } catch (error) {
+    console.error('Rating hide error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Restore a rating and dismiss its open reports
+router.post('/moderation/:ratingId/restore', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const result = await pool.query(`
+      UPDATE ratings r SET is_hidden = FALSE, hidden_at = NULL, hidden_by = NULL
+      FROM ratings previous
+      WHERE r.id = $1 AND previous.id = r.id
+      RETURNING r.id, r.store_id, r.user_id, r.is_hidden, previous.is_hidden as was_hidden
+    `, [ratingId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const { user_id: authorId, was_hidden: wasHidden, ...rating } = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'rating.restore',
+      targetType: 'rating',
+      targetId: rating.id,
+      before: { is_hidden: wasHidden },
+      after: { is_hidden: false },
+      metadata: { storeId: rating.store_id, authorId }
+    });
+    // Listings too: search matches the comments of visible ratings
+    await invalidateStoreCache(rating.store_id);
+
+    // Dismissing reports on a visible rating is not news for its author
+    if (wasHidden) {
+      await notify({
+        userId: authorId,
+        type: 'rating_restored',
+        storeId: rating.store_id,
+        ratingId: rating.id,
+        actorId: req.user.id
+      });
+    }
+
+    const reports = await pool.query(`
+      UPDATE rating_reports SET status = 'dismissed', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP
+      WHERE rating_id = $2 AND status = 'open'
+    `, [req.user.id, ratingId]);
+
+    res.json({
+      message: 'Rating restored successfully',
+      rating,
+      dismissedReports: reports.rowCount
+    });
+
+  } catch (error) {
+    console.error('Rating restore error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a reported rating (its reports and photos are removed with it)
+router.delete('/moderation/:ratingId', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const photos = await pool.query('SELECT image_key, thumbnail_key FROM rating_photos WHERE rating_id = $1', [ratingId]);
+
+    const result = await pool.query('DELETE FROM ratings WHERE id = $1 RETURNING id, store_id, user_id, rating, comment', [ratingId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    await removeImages(photos.rows);
+
+    await recordAudit(req, {
+      action: 'rating.delete',
+      targetType: 'rating',
+      targetId: ratingId,
+      before: result.rows[0],
+      metadata: { moderated: true }
+    });
+
+    const { user_id: authorId, rating: value, comment, ...rating } = result.rows[0];
+
+    // The rating is gone, so the notification keeps what the author needs to recognise it
+    await notify({
+      userId: authorId,
+      type: 'rating_removed',
+      storeId: rating.store_id,
+      actorId: req.user.id,
+      data: { ratingId: rating.id, rating: value }
+    });
+    await publishRatingEvent('rating_deleted', rating.store_id, { ratingId: rating.id });
+    await invalidateStoreCache(rating.store_id);
+
+    res.json({
+      message: 'Rating deleted successfully',
+      rating
+    });
+
+  } catch (error) {
+    console.error('Moderated rating deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Browse the audit log, newest first. `action` matches exactly, or as a
+// prefix when it ends with "." (e.g. "user." for every user action).
+router.get('/audit', validateAuditQuery, async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (actorId) {
+      params.push(parseInt(actorId));
+      conditions.push(`a.actor_id = $${params.length}`);
+    }
+    if (action) {
+      if (action.endsWith('.')) {
+        params.push(`${action.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`a.action LIKE $${params.length}`);
+      } else {
+        params.push(action);
+        conditions.push(`a.action = $${params.length}`);
+      }
+    }
+    if (targetType) {
+      params.push(targetType);
+      conditions.push(`a.target_type = $${params.length}`);
+    }
+    if (targetId) {
+      params.push(parseInt(targetId));
+      conditions.push(`a.target_id = $${params.length}`);
+    }
+    for (const [value, operator] of [[from, '>='], [to, '<']]) {
+      if (!value) continue;
+      if (isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+      params.push(new Date(value));
+      conditions.push(`a.created_at ${operator} $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Get total count
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_log a ${whereClause}`, params);
+    const totalEntries = parseInt(countResult.rows[0].count);
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    // actor_email is who acted at the time, as recorded; the actor's current
+    // account (null once deleted) is reported separately
+    const entriesResult = await pool.query(`
+      SELECT a.id, a.actor_id, a.actor_email, u.email as actor_current_email, u.name as actor_name,
+             a.action, a.target_type, a.target_id, a.changes, a.metadata, a.ip_address, a.created_at
+      FROM audit_log a
+      LEFT JOIN users u ON a.actor_id = u.id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]);
+
+    res.json({
+      entries: entriesResult.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit log error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
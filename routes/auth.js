@@ -1,16 +1,31 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { sendMail, escapeHtml } = require('../services/mailer');
+const { cancelAccountDeletion, updateProfile } = require('../services/accounts');
+const { recordAudit } = require('../services/audit');
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions
+} = require('../services/sessions');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
-  validatePasswordUpdate 
+  validatePasswordUpdate,
+  validateForgotPassword,
+  validatePasswordReset
 } = require('../middleware/validation');
 
 const router = express.Router();
 
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // User Registration
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
@@ -35,12 +50,8 @@ router.post('/register', validateUserRegistration, async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -51,7 +62,8 @@ router.post('/register', validateUserRegistration, async (req, res) => {
         address: user.address,
         role: user.role
       },
-      token
+      token,
+      refreshToken
     });
 
   } catch (error) {
@@ -79,15 +91,15 @@ router.post('/login', validateUserLogin, async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    // Logging in during the grace period keeps the account
+    const deletionCancelled = await cancelAccountDeletion(user.id);
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
-      message: 'Login successful',
+      message: deletionCancelled ? 'Login successful, your account deletion was cancelled' : 'Login successful',
+      deletionCancelled,
       user: {
         id: user.id,
         name: user.name,
@@ -95,7 +107,8 @@ router.post('/login', validateUserLogin, async (req, res) => {
         address: user.address,
         role: user.role
       },
-      token
+      token,
+      refreshToken
     });
 
   } catch (error) {
@@ -104,6 +117,74 @@ router.post('/login', validateUserLogin, async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await rotateSession(refreshToken);
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Logout: revoke the session the refresh token belongs to
+// Works without a valid access token so an expired client can still sign out.
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    await revokeSessionByToken(refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id);
+
+    await recordAudit(req, {
+      action: 'user.logout_all',
+      targetType: 'user',
+      targetId: req.user.id,
+      metadata: { revokedSessions }
+    });
+
+    res.json({
+      message: 'Logged out from all sessions',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Update Password
 router.put('/password', authenticateToken, validatePasswordUpdate, async (req, res) => {
   try {
@@ -132,6 +213,11 @@ router.put('/password', authenticateToken, validatePasswordUpdate, async (req, r
     await pool.query('UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', 
       [newPasswordHash, userId]);
 
+    // Sign out every other device that knew the old password
+    await revokeAllSessions(userId, { exceptSessionId: req.sessionId });
+
+    await recordAudit(req, { action: 'user.password_change', targetType: 'user', targetId: userId });
+
     res.json({ message: 'Password updated successfully' });
 
   } catch (error) {
@@ -140,17 +226,142 @@ router.put('/password', authenticateToken, validatePasswordUpdate, async (req, r
   }
 });
 
+// Request a password reset link
+// Always answers the same way so the endpoint cannot be used to discover accounts.
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query('SELECT id, name, email FROM users WHERE email = $1', [email]);
+    if (result.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+
+    // Only the most recent link stays usable
+    await pool.query(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `, [user.id]);
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+      VALUES ($1, $2, NOW() + ($3 || ' minutes')::INTERVAL)
+    `, [user.id, hashResetToken(token), RESET_TOKEN_TTL_MINUTES]);
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    // A failed send must not change the answer, or it would reveal the account
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Store Ratings password',
+        text: `Hello ${user.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n` +
+          `${resetUrl}\n\n` +
+          'If you did not ask for a password reset you can ignore this email.',
+        html: `<p>Hello ${escapeHtml(user.name)},</p>` +
+          `<p>Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.</p>` +
+          `<p><a href="${resetUrl}">Reset password</a></p>` +
+          '<p>If you did not ask for a password reset you can ignore this email.</p>'
+      });
+    } catch (error) {
+      console.error('Password reset mail error:', error);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { token, newPassword } = req.body;
+
+    await client.query('BEGIN');
+
+    // Consume the token; the used_at check makes it single-use even under concurrent requests
+    const tokenResult = await client.query(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [hashResetToken(token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    // Hash new password
+    const saltRounds = 10;
+    const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    const userResult = await client.query(`
+      UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+      RETURNING id, email
+    `, [newPasswordHash, userId]);
+
+    // Invalidate any other outstanding links for this user
+    await client.query(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `, [userId]);
+
+    // Sign out all existing sessions
+    await revokeAllSessions(userId, { db: client });
+
+    // Nobody is signed in here; the token holder acts as the account owner
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      targetType: 'user',
+      targetId: userId,
+      actor: userResult.rows[0],
+      db: client
+    });
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Password has been reset successfully' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // Update user profile
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, address } = req.body;
+    const { name, address, weeklyDigest } = req.body;
 
     // Validate input
     if (!name || !address) {
       return res.status(400).json({ message: 'Name and address are required' });
     }
 
+    if (weeklyDigest !== undefined && typeof weeklyDigest !== 'boolean') {
+      return res.status(400).json({ message: 'weeklyDigest must be true or false' });
+    }
+
     if (name.length < 20 || name.length > 60) {
       return res.status(400).json({ message: 'Name must be between 20-60 characters' });
     }
@@ -159,21 +370,16 @@ router.put('/profile', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Address must not exceed 400 characters' });
     }
 
-    // Update user profile
-    const result = await pool.query(`
-      UPDATE users 
-      SET name = $1, address = $2, updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $3 
-      RETURNING id, name, email, address, role, created_at, updated_at
-    `, [name, address, userId]);
+    // Update user profile (the digest preference is kept when not sent)
+    const user = await updateProfile(userId, { name, address, weeklyDigest });
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     res.json({ 
       message: 'Profile updated successfully',
-      user: result.rows[0] 
+      user
     });
 
   } catch (error) {
@@ -188,7 +394,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     
     const result = await pool.query(`
-      SELECT id, name, email, address, role, created_at, updated_at
+      SELECT id, name, email, address, role, weekly_digest, created_at, updated_at
       FROM users WHERE id = $1
     `, [userId]);
 
@@ -0,0 +1,120 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const countUnread = async (userId) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL
+  `, [userId]);
+  return parseInt(result.rows[0].count);
+};
+
+// Get the current user's notifications, newest first (?unread=true for unread only)
+router.get('/', async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const userId = req.user.id;
+    const unreadOnly = unread === 'true';
+
+    const whereClause = `WHERE n.user_id = $1${unreadOnly ? ' AND n.read_at IS NULL' : ''}`;
+
+    // Get total count
+    const countResult = await pool.query(`SELECT COUNT(*) FROM notifications n ${whereClause}`, [userId]);
+    const totalNotifications = parseInt(countResult.rows[0].count);
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    const result = await pool.query(`
+      SELECT n.id, n.type, n.store_id, n.rating_id, n.data, n.read_at, n.created_at,
+             s.name as store_name,
+             u.name as actor_name
+      FROM notifications n
+      LEFT JOIN stores s ON n.store_id = s.id
+      LEFT JOIN users u ON n.actor_id = u.id
+      ${whereClause}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, parseInt(limit), offset]);
+
+    res.json({
+      notifications: result.rows,
+      unreadCount: await countUnread(userId),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalNotifications,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the number of unread notifications (for badges)
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({ unreadCount: await countUnread(req.user.id) });
+  } catch (error) {
+    console.error('Unread notification count error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL
+    `, [req.user.id]);
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.rowCount,
+      unreadCount: 0
+    });
+
+  } catch (error) {
+    console.error('Notifications mark read error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(`
+      UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, read_at
+    `, [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: result.rows[0],
+      unreadCount: await countUnread(userId)
+    });
+
+  } catch (error) {
+    console.error('Notification mark read error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,92 +1,149 @@
 const express = require('express');
 const pool = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validateRating } = require('../middleware/validation');
+const { validateRating, validateRatingReport, validateRatingVote } = require('../middleware/validation');
+const { uploadImages } = require('../middleware/upload');
+const { storeImage, removeImages, InvalidImageError } = require('../services/images');
+const { notifyStoreOwner } = require('../services/notifications');
+const { publishRatingEvent } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+const { PaginationError, keysetPagination } = require('../services/pagination');
+const { invalidateStoreCache } = require('../services/cache');
+const { CriteriaError, resolveCriteriaScores, setRatingScores, ratingScoresSql } = require('../services/criteria');
+const {
+  storeStatsJoin,
+  averageRatingSql,
+  totalRatingsSql,
+  getStoreRatingStats
+} = require('../services/ratingStats');
 
 const router = express.Router();
 
+const RATING_PHOTO_LIMIT = parseInt(process.env.RATING_PHOTO_LIMIT) || 5;
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
 // Submit or update rating for a store
+// Optional criteria scores ({ slug: 1-5 }) are replaced when given and kept when left out.
 router.post('/:storeId', validateRating, async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { storeId } = req.params;
-    const { rating, comment } = req.body;
+    const { rating, comment, criteria } = req.body;
     const userId = req.user.id;
 
     // Verify store exists
-    const storeResult = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeResult = await client.query('SELECT id FROM stores WHERE id = $1', [storeId]);
     if (storeResult.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
+    const scores = criteria === undefined ? null : await resolveCriteriaScores(storeId, criteria);
+
+    // The rating and its criterion scores are saved together
+    await client.query('BEGIN');
+
     // Check if user already rated this store
-    const existingRating = await pool.query(`
-      SELECT id, rating, comment FROM ratings WHERE user_id = $1 AND store_id = $2
+    const existingRating = await client.query(`
+      SELECT id, rating, comment FROM ratings WHERE user_id = $1 AND store_id = $2 FOR UPDATE
     `, [userId, storeId]);
 
     if (existingRating.rows.length > 0) {
       // Update existing rating
-      await pool.query(`
+      await client.query(`
         UPDATE ratings 
         SET rating = $1, comment = $2, updated_at = CURRENT_TIMESTAMP 
         WHERE user_id = $3 AND store_id = $4
       `, [rating, comment || null, userId, storeId]);
 
+      if (scores) {
+        await setRatingScores(existingRating.rows[0].id, scores, client);
+      }
+
+      await client.query('COMMIT');
+
+      await notifyStoreOwner(storeId, {
+        type: 'rating_updated',
+        ratingId: existingRating.rows[0].id,
+        actorId: userId,
+        data: { rating, previousRating: existingRating.rows[0].rating }
+      });
+      await publishRatingEvent('rating_updated', storeId, {
+        ratingId: existingRating.rows[0].id,
+        rating: { rating, comment: comment || null }
+      });
+      await invalidateStoreCache(storeId);
+
       // Get updated store stats
-      const storeStats = await pool.query(`
-        SELECT 
-          COALESCE(AVG(rating), 0) as average_rating,
-          COUNT(*) as total_ratings
-        FROM ratings 
-        WHERE store_id = $1
-      `, [storeId]);
+      const storeStats = await getStoreRatingStats(storeId);
 
       res.json({ 
         message: 'Rating updated successfully',
-        rating: { storeId, userId, rating, comment },
-        storeStats: storeStats.rows[0]
+        rating: { storeId, userId, rating, comment, criteria },
+        storeStats
       });
     } else {
       // Create new rating
-      await pool.query(`
+      const newRating = await client.query(`
         INSERT INTO ratings (user_id, store_id, rating, comment)
         VALUES ($1, $2, $3, $4)
+        RETURNING id
       `, [userId, storeId, rating, comment || null]);
 
+      if (scores) {
+        await setRatingScores(newRating.rows[0].id, scores, client);
+      }
+
+      await client.query('COMMIT');
+
+      await notifyStoreOwner(storeId, {
+        type: 'rating_created',
+        ratingId: newRating.rows[0].id,
+        actorId: userId,
+        data: { rating }
+      });
+      await publishRatingEvent('rating_created', storeId, {
+        ratingId: newRating.rows[0].id,
+        rating: { rating, comment: comment || null }
+      });
+      await invalidateStoreCache(storeId);
+
       // Get updated store stats
-      const storeStats = await pool.query(`
-        SELECT 
-          COALESCE(AVG(rating), 0) as average_rating,
-          COUNT(*) as total_ratings
-        FROM ratings 
-        WHERE store_id = $1
-      `, [storeId]);
+      const storeStats = await getStoreRatingStats(storeId);
 
       res.status(201).json({ 
         message: 'Rating submitted successfully',
-        rating: { storeId, userId, rating, comment },
-        storeStats: storeStats.rows[0]
+        rating: { storeId, userId, rating, comment, criteria },
+        storeStats
       });
     }
 
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof CriteriaError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Rating submission error:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
 // Update existing rating
 router.put('/:ratingId', validateRating, async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { ratingId } = req.params;
-    const { rating, comment } = req.body;
+    const { rating, comment, criteria } = req.body;
     const userId = req.user.id;
 
     // Verify rating exists and belongs to user
-    const existingRating = await pool.query(`
-      SELECT id, store_id FROM ratings WHERE id = $1 AND user_id = $2
+    const existingRating = await client.query(`
+      SELECT id, store_id, rating FROM ratings WHERE id = $1 AND user_id = $2
     `, [ratingId, userId]);
 
     if (existingRating.rows.length === 0) {
@@ -94,32 +151,54 @@ router.put('/:ratingId', validateRating, async (req, res) => {
     }
 
     const storeId = existingRating.rows[0].store_id;
+    const scores = criteria === undefined ? null : await resolveCriteriaScores(storeId, criteria);
+
+    // The rating and its criterion scores are saved together
+    await client.query('BEGIN');
 
     // Update rating
-    await pool.query(`
+    await client.query(`
       UPDATE ratings 
       SET rating = $1, comment = $2, updated_at = CURRENT_TIMESTAMP 
       WHERE id = $3
     `, [rating, comment || null, ratingId]);
 
+    if (scores) {
+      await setRatingScores(ratingId, scores, client);
+    }
+
+    await client.query('COMMIT');
+
+    await notifyStoreOwner(storeId, {
+      type: 'rating_updated',
+      ratingId,
+      actorId: userId,
+      data: { rating, previousRating: existingRating.rows[0].rating }
+    });
+    await publishRatingEvent('rating_updated', storeId, {
+      ratingId,
+      rating: { rating, comment: comment || null }
+    });
+    await invalidateStoreCache(storeId);
+
     // Get updated store stats
-    const storeStats = await pool.query(`
-      SELECT 
-        COALESCE(AVG(rating), 0) as average_rating,
-        COUNT(*) as total_ratings
-      FROM ratings 
-      WHERE store_id = $1
-    `, [storeId]);
+    const storeStats = await getStoreRatingStats(storeId);
 
     res.json({ 
       message: 'Rating updated successfully',
-      rating: { id: ratingId, storeId, userId, rating, comment },
-      storeStats: storeStats.rows[0]
+      rating: { id: ratingId, storeId, userId, rating, comment, criteria },
+      storeStats
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof CriteriaError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Rating update error:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
@@ -140,21 +219,21 @@ router.delete('/:ratingId', authenticateToken, async (req, res) => {
 
     const storeId = existingRating.rows[0].store_id;
 
+    const photos = await pool.query('SELECT image_key, thumbnail_key FROM rating_photos WHERE rating_id = $1', [ratingId]);
+
     // Delete rating
-    await pool.query('DELETE FROM ratings WHERE id = $1', [ratingId]);
+    const deleted = await pool.query('DELETE FROM ratings WHERE id = $1 RETURNING id, store_id, rating, comment', [ratingId]);
+    await removeImages(photos.rows);
+    await recordAudit(req, { action: 'rating.delete', targetType: 'rating', targetId: ratingId, before: deleted.rows[0] });
+    await publishRatingEvent('rating_deleted', storeId, { ratingId });
+    await invalidateStoreCache(storeId);
 
     // Get updated store stats
-    const storeStats = await pool.query(`
-      SELECT 
-        COALESCE(AVG(rating), 0) as average_rating,
-        COUNT(*) as total_ratings
-      FROM ratings 
-      WHERE store_id = $1
-    `, [storeId]);
+    const storeStats = await getStoreRatingStats(storeId);
 
     res.json({ 
       message: 'Rating deleted successfully',
-      storeStats: storeStats.rows[0]
+      storeStats
     });
 
   } catch (error) {
@@ -163,6 +242,273 @@ router.delete('/:ratingId', authenticateToken, async (req, res) => {
   }
 });
 
+// Every revision of a rating, oldest first. Visible to the author, the
+// store's owner and system admins, also while the rating is hidden.
+router.get('/:ratingId/revisions', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const ratingResult = await pool.query(`
+      SELECT r.id, r.store_id, s.name as store_name, r.user_id, u.name as user_name,
+             r.rating, r.comment, r.is_hidden, r.created_at, r.edited_at,
+             s.owner_id
+      FROM ratings r
+      JOIN stores s ON r.store_id = s.id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.id = $1
+    `, [ratingId]);
+
+    if (ratingResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const { owner_id: ownerId, ...rating } = ratingResult.rows[0];
+    const canView = req.user.role === 'system_admin' || req.user.id === ownerId || req.user.id === rating.user_id;
+    if (!canView) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const revisionsResult = await pool.query(`
+      SELECT revision, rating, comment, created_at
+      FROM rating_revisions
+      WHERE rating_id = $1
+      ORDER BY revision
+    `, [ratingId]);
+
+    res.json({
+      rating,
+      revisions: revisionsResult.rows
+    });
+
+  } catch (error) {
+    console.error('Rating revisions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Report a rating to the moderators
+router.post('/:ratingId/report', validateRatingReport, async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { reason, details } = req.body;
+    const userId = req.user.id;
+
+    const ratingResult = await pool.query('SELECT id, user_id FROM ratings WHERE id = $1', [ratingId]);
+    if (ratingResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    if (ratingResult.rows[0].user_id === userId) {
+      return res.status(400).json({ message: 'You cannot report your own rating' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO rating_reports (rating_id, reporter_id, reason, details)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (rating_id, reporter_id) DO NOTHING
+      RETURNING id, rating_id, reason, details, status, created_at
+    `, [ratingId, userId, reason, details || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'You have already reported this rating' });
+    }
+
+    res.status(201).json({
+      message: 'Rating reported successfully',
+      report: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Rating report error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Current helpful / not helpful totals of a rating
+const ratingVoteCounts = async (ratingId) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) FILTER (WHERE helpful) as helpful_count,
+           COUNT(*) FILTER (WHERE NOT helpful) as not_helpful_count
+    FROM rating_votes WHERE rating_id = $1
+  `, [ratingId]);
+
+  return result.rows[0];
+};
+
+// Mark a review as helpful or not ({ "helpful": true|false }); voting again
+// changes the existing vote
+router.put('/:ratingId/vote', validateRatingVote, async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { helpful } = req.body;
+    const userId = req.user.id;
+
+    // Hidden reviews are not shown publicly, so they cannot be voted on either
+    const ratingResult = await pool.query('SELECT id, user_id, store_id FROM ratings WHERE id = $1 AND is_hidden = FALSE', [ratingId]);
+    if (ratingResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    if (ratingResult.rows[0].user_id === userId) {
+      return res.status(400).json({ message: 'You cannot vote on your own rating' });
+    }
+
+    await pool.query(`
+      INSERT INTO rating_votes (rating_id, user_id, helpful)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (rating_id, user_id) DO UPDATE SET helpful = EXCLUDED.helpful
+    `, [ratingId, userId, helpful]);
+    await invalidateStoreCache(ratingResult.rows[0].store_id, { listings: false });
+
+    res.json({
+      message: 'Vote saved successfully',
+      vote: { ratingId: parseInt(ratingId), helpful },
+      votes: await ratingVoteCounts(ratingId)
+    });
+
+  } catch (error) {
+    console.error('Rating vote error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Withdraw a helpful / not helpful vote
+router.delete('/:ratingId/vote', async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM rating_votes vote USING ratings r
+      WHERE vote.rating_id = r.id AND vote.rating_id = $1 AND vote.user_id = $2
+      RETURNING r.store_id
+    `, [ratingId, req.user.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Vote not found' });
+    }
+
+    await invalidateStoreCache(result.rows[0].store_id, { listings: false });
+
+    res.json({
+      message: 'Vote removed successfully',
+      votes: await ratingVoteCounts(ratingId)
+    });
+
+  } catch (error) {
+    console.error('Rating vote removal error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Only the author of a rating may change its photos
+const verifyRatingAuthor = async (req, res, next) => {
+  try {
+    const existingRating = await pool.query(`
+      SELECT id, store_id FROM ratings WHERE id = $1 AND user_id = $2
+    `, [req.params.ratingId, req.user.id]);
+
+    if (existingRating.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found or unauthorized' });
+    }
+
+    req.rating = existingRating.rows[0];
+    next();
+  } catch (error) {
+    console.error('Rating author check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Attach photos to a rating (multipart field "photos", up to RATING_PHOTO_LIMIT per rating)
+router.post('/:ratingId/photos', verifyRatingAuthor, uploadImages('photos', RATING_PHOTO_LIMIT), async (req, res) => {
+  const { ratingId } = req.params;
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({ message: 'At least one photo is required' });
+  }
+
+  const client = await pool.connect();
+  const images = [];
+
+  try {
+    for (const file of files) {
+      images.push(await storeImage(file.buffer, `ratings/${ratingId}`));
+    }
+
+    await client.query('BEGIN');
+
+    // Locking the rating makes concurrent uploads count one after the other,
+    // so together they cannot go over the limit
+    await client.query('SELECT id FROM ratings WHERE id = $1 FOR UPDATE', [ratingId]);
+    const countResult = await client.query('SELECT COUNT(*) FROM rating_photos WHERE rating_id = $1', [ratingId]);
+    const existingCount = parseInt(countResult.rows[0].count);
+
+    if (existingCount + files.length > RATING_PHOTO_LIMIT) {
+      await client.query('ROLLBACK');
+      await removeImages(images.map(image => ({ image_key: image.imageKey, thumbnail_key: image.thumbnailKey })));
+      return res.status(400).json({
+        message: `A rating can have at most ${RATING_PHOTO_LIMIT} photos (it already has ${existingCount})`
+      });
+    }
+
+    const photos = [];
+    for (const image of images) {
+      const result = await client.query(`
+        INSERT INTO rating_photos (rating_id, image_key, thumbnail_key, image_url, thumbnail_url, width, height)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, image_url, thumbnail_url, width, height, created_at
+      `, [ratingId, image.imageKey, image.thumbnailKey, image.imageUrl, image.thumbnailUrl, image.width, image.height]);
+
+      photos.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+    await invalidateStoreCache(req.rating.store_id, { listings: false });
+
+    res.status(201).json({
+      message: 'Photos uploaded successfully',
+      photos
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await removeImages(images.map(image => ({ image_key: image.imageKey, thumbnail_key: image.thumbnailKey })));
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Rating photo upload error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Remove a photo from a rating
+router.delete('/:ratingId/photos/:photoId', verifyRatingAuthor, async (req, res) => {
+  try {
+    const { ratingId, photoId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM rating_photos WHERE id = $1 AND rating_id = $2
+      RETURNING image_key, thumbnail_key
+    `, [photoId, ratingId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    await removeImages(result.rows);
+    await invalidateStoreCache(req.rating.store_id, { listings: false });
+
+    res.json({ message: 'Photo deleted successfully' });
+
+  } catch (error) {
+    console.error('Rating photo deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get user's rating insights and history
 router.get('/user/insights', authenticateToken, async (req, res) => {
   try {
@@ -262,22 +608,42 @@ router.get('/user/recommendations', authenticateToken, async (req, res) => {
 
     const userAvgRating = userPreferences.rows[0]?.avg_rating || 3.5;
 
-    // Get stores user hasn't rated yet, ordered by similarity to user preferences
+    // Get categories the user rates highly
+    const favoriteCategories = await pool.query(`
+      SELECT 
+        c.id, c.name, c.slug,
+        AVG(r.rating) as avg_rating,
+        COUNT(r.id) as total_ratings
+      FROM ratings r
+      JOIN stores s ON r.store_id = s.id
+      JOIN categories c ON s.category_id = c.id
+      WHERE r.user_id = $1
+      GROUP BY c.id, c.name, c.slug
+      HAVING AVG(r.rating) >= 4
+      ORDER BY avg_rating DESC, total_ratings DESC
+    `, [userId]);
+
+    const favoriteCategoryIds = favoriteCategories.rows.map(category => category.id);
+
+    // Get stores user hasn't rated yet, stores in favorite categories first,
+    // then ordered by similarity to user preferences
     const recommendations = await pool.query(`
       SELECT 
         s.id, s.name, s.address,
-        COALESCE(AVG(r.rating), 0) as average_rating,
-        COUNT(r.id) as total_ratings,
-        ABS(COALESCE(AVG(r.rating), 0) - $1) as rating_similarity
+        c.name as category_name,
+        ${averageRatingSql} as average_rating,
+        ${totalRatingsSql} as total_ratings,
+        ABS(${averageRatingSql} - $1) as rating_similarity,
+        COALESCE(s.category_id = ANY($4::INTEGER[]), FALSE) as in_favorite_category
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
+      ${storeStatsJoin}
+      LEFT JOIN categories c ON s.category_id = c.id
       WHERE s.id NOT IN (
         SELECT DISTINCT store_id FROM ratings WHERE user_id = $2
       )
-      GROUP BY s.id, s.name, s.address
-      ORDER BY rating_similarity ASC, total_ratings DESC
+      ORDER BY in_favorite_category DESC, rating_similarity ASC, total_ratings DESC
       LIMIT $3
-    `, [userAvgRating, userId, parseInt(limit)]);
+    `, [userAvgRating, userId, parseInt(limit), favoriteCategoryIds]);
 
     // Get trending stores (most rated recently)
     const trendingStores = await pool.query(`
@@ -302,7 +668,8 @@ router.get('/user/recommendations', authenticateToken, async (req, res) => {
       trendingStores: trendingStores.rows,
       userPreferences: {
         averageRating: parseFloat(userAvgRating),
-        totalRatings: parseInt(userPreferences.rows[0]?.total_ratings || 0)
+        totalRatings: parseInt(userPreferences.rows[0]?.total_ratings || 0),
+        favoriteCategories: favoriteCategories.rows
       }
     });
 
@@ -316,11 +683,9 @@ router.get('/user/recommendations', authenticateToken, async (req, res) => {
 router.get('/user', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { 
+    let { 
       sortBy = 'created_at', 
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
+      sortOrder = 'desc'
     } = req.query;
 
     // Validate sort parameters
@@ -330,40 +695,45 @@ router.get('/user', async (req, res) => {
     if (!allowedSortFields.includes(sortBy)) sortBy = 'created_at';
     if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'desc';
 
-    // Get total count
-    const countResult = await pool.query(`
-      SELECT COUNT(*) FROM ratings WHERE user_id = $1
-    `, [userId]);
-    const totalRatings = parseInt(countResult.rows[0].count);
+    const params = [userId];
+    const pager = keysetPagination(req, {
+      sort: sortBy === 'store_name' ? 's.name' : `r.${sortBy}`,
+      order: sortOrder,
+      key: 'r.id',
+      sortName: `ratings:${sortBy}:${sortOrder.toLowerCase()}`,
+      params
+    });
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-    const totalPages = Math.ceil(totalRatings / limit);
+    // Get total count
+    let totalRatings = null;
+    if (pager.includeTotal) {
+      const countResult = await pool.query(`
+        SELECT COUNT(*) FROM ratings WHERE user_id = $1
+      `, [userId]);
+      totalRatings = countResult.rows[0].count;
+    }
 
     // Get ratings with store details and pagination
     const ratingsQuery = `
-      SELECT r.rating, r.created_at, r.updated_at,
-             s.id as store_id, s.name as store_name, s.address as store_address
+      SELECT r.rating, r.created_at, r.updated_at, r.edited_at,
+             s.id as store_id, s.name as store_name, s.address as store_address,
+             ${pager.cursorColumns}
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
-      ORDER BY ${sortBy === 'store_name' ? 's.name' : sortBy} ${sortOrder.toUpperCase()}
-      LIMIT $2 OFFSET $3
+      WHERE r.user_id = $1${pager.where}
+      ORDER BY ${pager.orderBy}
+      ${pager.limitSql}
     `;
     
-    const ratingsResult = await pool.query(ratingsQuery, [userId, parseInt(limit), offset]);
+    const ratingsResult = await pool.query(ratingsQuery, params);
+    const { rows: ratings, pagination } = pager.finish(ratingsResult.rows, { total: totalRatings, totalKey: 'totalRatings' });
 
-    res.json({
-      ratings: ratingsResult.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalRatings,
-        limit: parseInt(limit)
-      }
-    });
+    res.json({ ratings, pagination });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('User ratings fetch error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -376,9 +746,9 @@ router.get('/user/:storeId', authenticateToken, async (req, res) => {
     const { storeId } = req.params;
 
     const ratingResult = await pool.query(`
-      SELECT id, rating, comment, created_at, updated_at
-      FROM ratings
-      WHERE user_id = $1 AND store_id = $2
+      SELECT r.id, r.rating, r.comment, ${ratingScoresSql} as criteria, r.created_at, r.updated_at
+      FROM ratings r
+      WHERE r.user_id = $1 AND r.store_id = $2
     `, [userId, storeId]);
 
     if (ratingResult.rows.length === 0) {
@@ -464,10 +834,24 @@ router.delete('/:storeId', async (req, res) => {
       return res.status(404).json({ message: 'Rating not found' });
     }
 
+    const photos = await pool.query(`
+      SELECT image_key, thumbnail_key FROM rating_photos WHERE rating_id = $1
+    `, [existingRating.rows[0].id]);
+
     // Delete rating
-    await pool.query(`
+    const deleted = await pool.query(`
       DELETE FROM ratings WHERE user_id = $1 AND store_id = $2
+      RETURNING id, store_id, rating, comment
     `, [userId, storeId]);
+    await removeImages(photos.rows);
+    await recordAudit(req, {
+      action: 'rating.delete',
+      targetType: 'rating',
+      targetId: existingRating.rows[0].id,
+      before: deleted.rows[0]
+    });
+    await publishRatingEvent('rating_deleted', storeId, { ratingId: existingRating.rows[0].id });
+    await invalidateStoreCache(storeId);
 
     res.json({ message: 'Rating deleted successfully' });
 
@@ -1,46 +1,173 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, authenticateEventStream, requireRole } = require('../middleware/auth');
+const { validateReply } = require('../middleware/validation');
+const { uploadImage } = require('../middleware/upload');
+const { storeSearchSql, storeSuggestionsSql } = require('../services/search');
+const { storeImage, removeImages, InvalidImageError } = require('../services/images');
+const { notify } = require('../services/notifications');
+const { storeChannel, ownerChannel, ownerStoreChannel, openEventStream } = require('../services/events');
+const { parseExportFormat, streamExport } = require('../services/export');
+const { ratingScoresSql, criteriaBreakdown } = require('../services/criteria');
+const { storeScoreSql, ratingConfidence } = require('../services/scoring');
+const { PaginationError, keysetPagination } = require('../services/pagination');
+const { cacheResponse, invalidateStoreCache, storeListTags, storeTags } = require('../services/cache');
+const {
+  storeStatsJoin,
+  averageRatingSql,
+  totalRatingsSql,
+  ratingDistributionSql,
+  distributionFromStats
+} = require('../services/ratingStats');
 
 const router = express.Router();
 
+// Great-circle distance in km between a store and the point in the given
+// query parameters (haversine formula)
+const distanceSql = (latParam, lngParam) => `(6371 * 2 * ASIN(SQRT(
+  POWER(SIN(RADIANS(s.latitude - ${latParam}) / 2), 2) +
+  COS(RADIANS(${latParam})) * COS(RADIANS(s.latitude)) *
+  POWER(SIN(RADIANS(s.longitude - ${lngParam}) / 2), 2)
+)))`;
+
+// Helpful / not helpful vote totals of the rating aliased r, joined as v
+const ratingVotesJoin = `
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) FILTER (WHERE vote.helpful) as helpful_count,
+           COUNT(*) FILTER (WHERE NOT vote.helpful) as not_helpful_count
+    FROM rating_votes vote WHERE vote.rating_id = r.id
+  ) v ON TRUE`;
+
+// ?sort= of the store ratings lists (queries must include ratingVotesJoin)
+const RATING_SORTS = {
+  recent: 'r.created_at DESC',
+  helpful: 'v.helpful_count DESC, r.created_at DESC',
+  highest: 'r.rating DESC, r.created_at DESC',
+  lowest: 'r.rating ASC, r.created_at DESC'
+};
+
+const RATING_SORT_ERROR = `Sort must be one of ${Object.keys(RATING_SORTS).join(', ')}`;
+
 // Get all stores with basic functionality (public route - no auth required)
-router.get('/', async (req, res) => {
+// search runs a full-text search over store names, addresses and review
+// comments, and sorts by relevance unless another sortBy is given.
+// near=lat,lng limits results to stores within radius km (default 10) and
+// sorts them by distance unless another sortBy is given.
+// sortBy=score ranks by the confidence-weighted score (best first by default);
+// average_rating and total_ratings also sort highest first by default.
+router.get('/', cacheResponse(storeListTags), async (req, res) => {
   try {
     const { 
       search, 
-      sortBy = 'name', 
-      sortOrder = 'asc',
-      page = 1,
-      limit = 20
+      category,
+      tag,
+      near,
+      radius
+    } = req.query;
+    let {
+      sortBy = near ? 'distance' : search ? 'relevance' : 'name',
+      sortOrder = ['relevance', 'score', 'average_rating', 'total_ratings'].includes(sortBy) ? 'desc' : 'asc'
     } = req.query;
 
     let whereClause = 'WHERE 1=1';
     let params = [];
     let paramCount = 0;
 
-    // Add search filter
+    // Add full-text search filter
+    let searchSql = null;
     if (search) {
       paramCount++;
-      whereClause += ` AND (s.name ILIKE $${paramCount} OR s.address ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
+      searchSql = storeSearchSql(`$${paramCount}`);
+      whereClause += ` AND ${searchSql.match}`;
+      params.push(search);
+    }
+
+    // Add tag filter (comma separated, stores must have every tag)
+    const tags = tag ? String(tag).split(',').map(t => t.trim().toLowerCase()).filter(Boolean) : [];
+    if (tags.length > 0) {
+      paramCount++;
+      whereClause += ` AND s.id IN (
+        SELECT store_id FROM store_tags WHERE tag = ANY($${paramCount}::TEXT[])
+        GROUP BY store_id HAVING COUNT(DISTINCT tag) = CARDINALITY($${paramCount}::TEXT[])
+      )`;
+      params.push(tags);
+    }
+
+    // Add distance filter
+    let distanceExpression = null;
+    if (near) {
+      const [latitude, longitude] = String(near).split(',').map(value => parseFloat(value));
+      if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return res.status(400).json({ message: 'near must be given as "latitude,longitude"' });
+      }
+
+      const radiusKm = Math.min(Math.max(parseFloat(radius) || 10, 0.1), 500);
+
+      distanceExpression = distanceSql(`$${paramCount + 1}::DOUBLE PRECISION`, `$${paramCount + 2}::DOUBLE PRECISION`);
+      whereClause += ` AND s.latitude IS NOT NULL AND s.longitude IS NOT NULL
+        AND ${distanceExpression} <= $${paramCount + 3}`;
+      params.push(latitude, longitude, radiusKm);
+      paramCount += 3;
+    }
+
+    // Category facets are counted before the category filter is applied
+    const facetWhereClause = whereClause;
+    const facetParams = [...params];
+
+    // Add category filter (slug or id)
+    if (category) {
+      paramCount++;
+      whereClause += ` AND (c.slug = $${paramCount} OR c.id::TEXT = $${paramCount})`;
+      params.push(String(category));
     }
 
     // Validate sort parameters
-    const allowedSortFields = ['name', 'address', 'created_at'];
+    const allowedSortFields = ['name', 'address', 'created_at', 'score', 'average_rating', 'total_ratings'];
+    if (distanceExpression) allowedSortFields.push('distance');
+    if (searchSql) allowedSortFields.push('relevance');
     const allowedSortOrders = ['asc', 'desc'];
     
     if (!allowedSortFields.includes(sortBy)) sortBy = 'name';
     if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'asc';
 
+    // Score ties go to the store with more ratings
+    const sort = {
+      distance: distanceExpression,
+      relevance: searchSql && searchSql.rank,
+      score: [storeScoreSql(), totalRatingsSql],
+      average_rating: averageRatingSql,
+      total_ratings: totalRatingsSql
+    }[sortBy] || `s.${sortBy}`;
+
+    const countParams = [...params];
+    const pager = keysetPagination(req, {
+      sort,
+      order: sortOrder,
+      key: 's.id',
+      sortName: `stores:${sortBy}:${sortOrder.toLowerCase()}`,
+      params
+    });
+
     // Get total count
-    const countQuery = `SELECT COUNT(*) FROM stores s ${whereClause}`;
-    const countResult = await pool.query(countQuery, params);
-    const totalStores = parseInt(countResult.rows[0].count);
+    let totalStores = null;
+    if (pager.includeTotal) {
+      const countResult = await pool.query(`
+        SELECT COUNT(*) FROM stores s
+        LEFT JOIN categories c ON s.category_id = c.id
+        ${whereClause}
+      `, countParams);
+      totalStores = parseInt(countResult.rows[0].count);
+    }
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-    const totalPages = Math.ceil(totalStores / limit);
+    // Get category facet counts
+    const facetsResult = await pool.query(`
+      SELECT c.id, c.name, c.slug, COUNT(s.id) as store_count
+      FROM stores s
+      JOIN categories c ON s.category_id = c.id
+      ${facetWhereClause}
+      GROUP BY c.id, c.name, c.slug
+      ORDER BY c.name
+    `, facetParams);
 
     // Get stores with ratings info
     const storesQuery = `
@@ -49,49 +176,119 @@ router.get('/', async (req, res) => {
         s.name, 
         s.address, 
         s.created_at,
-        COALESCE(AVG(r.rating), 0) as average_rating,
-        COUNT(r.id) as total_ratings
+        s.latitude,
+        s.longitude,
+        s.cover_thumbnail_url,
+        ${distanceExpression ? `${distanceExpression} as distance_km,` : ''}
+        ${searchSql ? `${searchSql.rank} as relevance,
+        ${searchSql.snippet} as snippet,
+        ${searchSql.commentSnippet} as comment_snippet,` : ''}
+        c.name as category_name,
+        c.slug as category_slug,
+        ARRAY(SELECT st.tag FROM store_tags st WHERE st.store_id = s.id ORDER BY st.tag) as tags,
+        ${averageRatingSql} as average_rating,
+        ${totalRatingsSql} as total_ratings,
+        ${storeScoreSql()} as score,
+        ${pager.cursorColumns}
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
-      ${whereClause}
-      GROUP BY s.id, s.name, s.address, s.created_at
-      ORDER BY s.${sortBy} ${sortOrder.toUpperCase()}
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      ${storeStatsJoin}
+      LEFT JOIN categories c ON s.category_id = c.id
+      ${whereClause}${pager.where}
+      ORDER BY ${pager.orderBy}
+      ${pager.limitSql}
     `;
-    
-    params.push(parseInt(limit), offset);
+
     const storesResult = await pool.query(storesQuery, params);
+    const { rows: stores, pagination } = pager.finish(storesResult.rows, { total: totalStores, totalKey: 'totalStores' });
+
+    // Offer similar store names when a search finds nothing
+    let suggestions = [];
+    if (search && pagination.currentPage === 1 && stores.length === 0) {
+      const suggestionsResult = await pool.query(storeSuggestionsSql('$1', 5), [search]);
+      suggestions = suggestionsResult.rows;
+    }
 
     res.json({
-      stores: storesResult.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalStores,
-        limit: parseInt(limit)
-      }
+      stores,
+      suggestions,
+      facets: {
+        categories: facetsResult.rows
+      },
+      pagination
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Stores fetch error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// Typo-tolerant store name suggestions for search boxes (public route - no auth required)
+router.get('/search/suggestions', async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+
+    if (!q || String(q).trim().length < 2) {
+      return res.json({ suggestions: [] });
+    }
+
+    const result = await pool.query(storeSuggestionsSql('$1', '$2'), [String(q).trim(), Math.min(parseInt(limit) || 5, 20)]);
+
+    res.json({ suggestions: result.rows });
+
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get store categories (public route - no auth required)
+router.get('/categories', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.slug, COUNT(s.id) as store_count,
+             COALESCE((
+               SELECT JSON_AGG(JSON_BUILD_OBJECT('id', rc.id, 'name', rc.name, 'slug', rc.slug) ORDER BY rc.position, rc.id)
+               FROM rating_criteria rc WHERE rc.category_id = c.id
+             ), '[]') as criteria
+      FROM categories c
+      LEFT JOIN stores s ON s.category_id = c.id
+      GROUP BY c.id, c.name, c.slug
+      ORDER BY c.name
+    `);
+
+    res.json({ categories: result.rows });
+
+  } catch (error) {
+    console.error('Categories fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get public store details (no authentication required)
-router.get('/:id', async (req, res) => {
+router.get('/:id', cacheResponse(req => storeTags(req.params.id)), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get store details with average rating
     const storeResult = await pool.query(`
-      SELECT s.id, s.name, s.address, s.created_at,
-             COALESCE(AVG(r.rating), 0) as average_rating,
-             COUNT(r.id) as total_ratings
+      SELECT s.id, s.name, s.address, s.created_at, s.latitude, s.longitude,
+             s.cover_image_url, s.cover_thumbnail_url,
+             c.name as category_name,
+             c.slug as category_slug,
+             ARRAY(SELECT st.tag FROM store_tags st WHERE st.store_id = s.id ORDER BY st.tag) as tags,
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score,
+             ${ratingDistributionSql} as rating_distribution,
+             stats.last_rated_at
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
+      ${storeStatsJoin}
+      LEFT JOIN categories c ON s.category_id = c.id
       WHERE s.id = $1
-      GROUP BY s.id, s.name, s.address, s.created_at
     `, [id]);
 
     if (storeResult.rows.length === 0) {
@@ -99,6 +296,7 @@ router.get('/:id', async (req, res) => {
     }
 
     const store = storeResult.rows[0];
+    store.criteria = (await criteriaBreakdown([store.id]))[store.id];
 
     res.json({ store });
 
@@ -109,25 +307,63 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get store ratings (no authentication required)
-router.get('/:id/ratings', async (req, res) => {
+// Ratings hidden by moderators are left out here but still count toward the average.
+// ?sort=recent|helpful|highest|lowest, paginated with page and limit (at most 50).
+router.get('/:id/ratings', cacheResponse(req => storeTags(req.params.id)), async (req, res) => {
   try {
     const { id } = req.params;
+    const { sort = 'recent', page = 1 } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
 
-    // Get store ratings with user names (if any exist)
+    if (!Object.prototype.hasOwnProperty.call(RATING_SORTS, sort)) {
+      return res.status(400).json({ message: RATING_SORT_ERROR });
+    }
+
+    // Get total count
+    const countResult = await pool.query(`
+      SELECT COUNT(*) FROM ratings WHERE store_id = $1 AND is_hidden = FALSE
+    `, [id]);
+    const totalRatings = parseInt(countResult.rows[0].count);
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+    const totalPages = Math.ceil(totalRatings / limit);
+
+    // Get store ratings with user names, vote totals and owner replies (if any exist)
     const ratingsResult = await pool.query(`
-      SELECT r.rating, r.comment, r.created_at, u.name as user_name
+      SELECT r.id, r.rating, ${ratingScoresSql} as criteria, r.comment, r.created_at, r.edited_at, u.name as user_name,
+             v.helpful_count, v.not_helpful_count,
+             rr.reply as owner_reply, rr.updated_at as owner_reply_updated_at,
+             COALESCE((
+               SELECT JSON_AGG(JSON_BUILD_OBJECT(
+                 'id', rp.id, 'url', rp.image_url, 'thumbnailUrl', rp.thumbnail_url,
+                 'width', rp.width, 'height', rp.height
+               ) ORDER BY rp.id)
+               FROM rating_photos rp WHERE rp.rating_id = r.id
+             ), '[]') as photos
       FROM ratings r
       JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
-      ORDER BY r.created_at DESC
-      LIMIT 50
-    `, [id]);
+      LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+      ${ratingVotesJoin}
+      WHERE r.store_id = $1 AND r.is_hidden = FALSE
+      ORDER BY ${RATING_SORTS[sort]}, r.id DESC
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
 
-    res.json({ ratings: ratingsResult.rows || [] });
+    res.json({
+      ratings: ratingsResult.rows || [],
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRatings,
+        limit
+      }
+    });
 
   } catch (error) {
     console.error('Store ratings error:', error);
-    // Return empty ratings array instead of error
+    // Return empty ratings array instead of error, but do not cache it
+    res.locals.skipCache = true;
     res.json({ ratings: [] });
   }
 });
@@ -140,13 +376,20 @@ router.get('/:id/authenticated', authenticateToken, async (req, res) => {
 
     // Get store details with average rating
     const storeResult = await pool.query(`
-      SELECT s.id, s.name, s.address, s.created_at,
-             COALESCE(AVG(r.rating), 0) as average_rating,
-             COUNT(r.id) as total_ratings
+      SELECT s.id, s.name, s.address, s.created_at, s.latitude, s.longitude,
+             s.cover_image_url, s.cover_thumbnail_url,
+             c.name as category_name,
+             c.slug as category_slug,
+             ARRAY(SELECT st.tag FROM store_tags st WHERE st.store_id = s.id ORDER BY st.tag) as tags,
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score,
+             ${ratingDistributionSql} as rating_distribution,
+             stats.last_rated_at
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
+      ${storeStatsJoin}
+      LEFT JOIN categories c ON s.category_id = c.id
       WHERE s.id = $1
-      GROUP BY s.id, s.name, s.address, s.created_at
     `, [id]);
 
     if (storeResult.rows.length === 0) {
@@ -154,13 +397,25 @@ router.get('/:id/authenticated', authenticateToken, async (req, res) => {
     }
 
     const store = storeResult.rows[0];
+    store.criteria = (await criteriaBreakdown([store.id]))[store.id];
 
     // Get user's rating for this store
     const userRatingResult = await pool.query(`
-      SELECT rating FROM ratings WHERE user_id = $1 AND store_id = $2
+      SELECT r.rating, ${ratingScoresSql} as criteria FROM ratings r WHERE r.user_id = $1 AND r.store_id = $2
     `, [userId, id]);
 
     store.userRating = userRatingResult.rows[0]?.rating || null;
+    store.userCriteria = userRatingResult.rows[0]?.criteria || {};
+
+    // The user's helpful votes on this store's reviews, as { ratingId: helpful }
+    const userVotesResult = await pool.query(`
+      SELECT vote.rating_id, vote.helpful
+      FROM rating_votes vote
+      JOIN ratings r ON vote.rating_id = r.id
+      WHERE vote.user_id = $1 AND r.store_id = $2
+    `, [userId, id]);
+
+    store.userVotes = Object.fromEntries(userVotesResult.rows.map(row => [row.rating_id, row.helpful]));
 
     res.json({ store });
 
@@ -170,27 +425,163 @@ router.get('/:id/authenticated', authenticateToken, async (req, res) => {
   }
 });
 
-// Store owner dashboard - get store details and comprehensive rating insights
-router.get('/owner/dashboard', authenticateToken, requireRole(['store_owner']), async (req, res) => {
+// Pick the store a store-scoped owner endpoint works on: ?storeId= when given,
+// otherwise the owner's first store. Also returns every store the owner has.
+const resolveOwnerStore = async (userId, storeId) => {
+  const storesResult = await pool.query(`
+    SELECT id, name FROM stores WHERE owner_id = $1 ORDER BY id
+  `, [userId]);
+
+  const ownedStores = storesResult.rows;
+  const store = storeId === undefined
+    ? ownedStores[0]
+    : ownedStores.find(ownedStore => ownedStore.id === parseInt(storeId));
+
+  return { store, ownedStores };
+};
+
+// List all stores of the current owner with their rating summary
+router.get('/owner/stores', authenticateToken, requireRole(['store_owner']), async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Get store details with comprehensive stats
-    const storeResult = await pool.query(`
-      SELECT s.id, s.name, s.address, s.email, s.created_at,
-             COALESCE(AVG(r.rating), 0) as average_rating,
-             COUNT(r.id) as total_ratings,
-             COUNT(DISTINCT r.user_id) as unique_customers
+    const result = await pool.query(`
+      SELECT s.id, s.name, s.email, s.address, s.created_at,
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
+      ${storeStatsJoin}
       WHERE s.owner_id = $1
-      GROUP BY s.id, s.name, s.address, s.email, s.created_at
+      ORDER BY s.id
     `, [userId]);
 
-    if (storeResult.rows.length === 0) {
+    res.json({ stores: result.rows });
+
+  } catch (error) {
+    console.error('Owner stores fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Portfolio summary across all stores of the current owner
+router.get('/owner/portfolio', authenticateToken, requireRole(['store_owner']), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Per-store figures
+    const storesResult = await pool.query(`
+      SELECT s.id, s.name, s.address,
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score,
+             (SELECT COUNT(*) FROM ratings r
+              WHERE r.store_id = s.id AND r.created_at >= NOW() - INTERVAL '30 days') as recent_ratings
+      FROM stores s
+      ${storeStatsJoin}
+      WHERE s.owner_id = $1
+      ORDER BY s.id
+    `, [userId]);
+
+    if (storesResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No store found for this user' });
+    }
+
+    // Totals across the whole portfolio
+    const totalsResult = await pool.query(`
+      SELECT 
+        COUNT(r.id) as total_ratings,
+        COALESCE(AVG(r.rating), 0) as average_rating,
+        COUNT(DISTINCT r.user_id) as unique_customers,
+        COUNT(CASE WHEN r.rating >= 4 THEN 1 END) as positive_ratings,
+        COUNT(CASE WHEN r.rating <= 2 THEN 1 END) as negative_ratings
+      FROM ratings r
+      JOIN stores s ON r.store_id = s.id
+      WHERE s.owner_id = $1
+    `, [userId]);
+
+    const totals = totalsResult.rows[0];
+
+    // Get rating distribution across all stores
+    const ratingDistributionResult = await pool.query(`
+      SELECT SUM(stats.count_1) as count_1, SUM(stats.count_2) as count_2, SUM(stats.count_3) as count_3,
+             SUM(stats.count_4) as count_4, SUM(stats.count_5) as count_5
+      FROM stores s
+      ${storeStatsJoin}
+      WHERE s.owner_id = $1
+    `, [userId]);
+
+    const ratingDistribution = distributionFromStats(ratingDistributionResult.rows[0]);
+
+    // Get recent ratings across all stores
+    const recentRatingsResult = await pool.query(`
+      SELECT r.id, r.rating, r.comment, r.created_at, r.edited_at,
+             s.id as store_id, s.name as store_name, u.name as user_name
+      FROM ratings r
+      JOIN stores s ON r.store_id = s.id
+      JOIN users u ON r.user_id = u.id
+      WHERE s.owner_id = $1
+      ORDER BY r.created_at DESC
+      LIMIT 10
+    `, [userId]);
+
+    // Best and worst by score, so a store with a single rating does not top the list
+    const ratedStores = storesResult.rows
+      .filter(store => parseInt(store.total_ratings) > 0)
+      .sort((a, b) => parseFloat(b.score) - parseFloat(a.score));
+
+    res.json({
+      summary: {
+        totalStores: storesResult.rows.length,
+        totalRatings: parseInt(totals.total_ratings),
+        averageRating: parseFloat(totals.average_rating),
+        uniqueCustomers: parseInt(totals.unique_customers),
+        positiveRatings: parseInt(totals.positive_ratings),
+        negativeRatings: parseInt(totals.negative_ratings),
+        bestStore: ratedStores[0] || null,
+        worstStore: ratedStores.length > 1 ? ratedStores[ratedStores.length - 1] : null
+      },
+      stores: storesResult.rows,
+      ratingDistribution,
+      recentRatings: recentRatingsResult.rows
+    });
+
+  } catch (error) {
+    console.error('Owner portfolio error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Store owner dashboard - get store details and comprehensive rating insights
+// Pass ?storeId= to pick one of several stores; defaults to the owner's first store.
+router.get('/owner/dashboard', authenticateToken, requireRole(['store_owner']), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { store: ownedStore, ownedStores } = await resolveOwnerStore(userId, req.query.storeId);
+
+    if (ownedStores.length === 0) {
       return res.status(404).json({ message: 'No store found for this user' });
     }
 
+    if (!ownedStore) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Get store details with comprehensive stats
+    const storeResult = await pool.query(`
+      SELECT s.id, s.name, s.address, s.email, s.created_at,
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score,
+             (SELECT COUNT(DISTINCT r.user_id) FROM ratings r WHERE r.store_id = s.id) as unique_customers,
+             ${ratingDistributionSql} as rating_distribution,
+             stats.last_rated_at
+      FROM stores s
+      ${storeStatsJoin}
+      WHERE s.id = $1
+    `, [ownedStore.id]);
+
     const store = storeResult.rows[0];
 
     // Get comprehensive store statistics
@@ -223,33 +614,20 @@ router.get('/owner/dashboard', authenticateToken, requireRole(['store_owner']),
       ORDER BY date
     `, [store.id]);
 
-    // Get recent ratings with user details
+    // Get recent ratings with user details and the owner's replies
     const ratingsResult = await pool.query(`
-      SELECT r.rating, r.created_at, r.comment, u.name as user_name, u.email as user_email
+      SELECT r.id, r.rating, ${ratingScoresSql} as criteria, r.created_at, r.edited_at, r.comment, r.is_hidden,
+             u.name as user_name, u.email as user_email,
+             rr.reply as owner_reply, rr.updated_at as owner_reply_updated_at
       FROM ratings r
       JOIN users u ON r.user_id = u.id
+      LEFT JOIN rating_replies rr ON rr.rating_id = r.id
       WHERE r.store_id = $1
       ORDER BY r.created_at DESC
       LIMIT 15
     `, [store.id]);
 
-    // Get rating distribution
-    const ratingDistributionResult = await pool.query(`
-      SELECT rating, COUNT(*) as count
-      FROM ratings
-      WHERE store_id = $1
-      GROUP BY rating
-      ORDER BY rating
-    `, [store.id]);
-
-    const ratingDistribution = {};
-    for (let i = 1; i <= 5; i++) {
-      ratingDistribution[i] = 0;
-    }
-    
-    ratingDistributionResult.rows.forEach(row => {
-      ratingDistribution[row.rating] = parseInt(row.count);
-    });
+    const ratingDistribution = store.rating_distribution;
 
     // Get customer insights
     const customerInsightsResult = await pool.query(`
@@ -267,19 +645,28 @@ router.get('/owner/dashboard', authenticateToken, requireRole(['store_owner']),
       LIMIT 10
     `, [store.id]);
 
+    // Per-criterion averages and distributions (service, price, ...)
+    const criteria = (await criteriaBreakdown([store.id]))[store.id];
+
+    // Confidence is the share of the weighted score that comes from the
+    // store's own ratings rather than the global mean
+    const confidence = ratingConfidence(stats.total_ratings);
+
     // Get performance metrics
     const performanceMetrics = {
       ratingScore: parseFloat(stats.average_rating).toFixed(1),
+      weightedScore: parseFloat(store.score).toFixed(2),
       customerSatisfaction: stats.total_ratings > 0 ? 
         Math.round((stats.positive_ratings / stats.total_ratings) * 100) : 0,
-      ratingConfidence: stats.total_ratings >= 10 ? 'high' : 
-                       stats.total_ratings >= 5 ? 'medium' : 'low',
+      ratingConfidence: confidence.level,
+      confidenceWeight: confidence.weight,
       growthTrend: trendsResult.rows.length > 1 ? 
         (trendsResult.rows[trendsResult.rows.length - 1].avg_rating - trendsResult.rows[0].avg_rating).toFixed(2) : 0
     };
 
     res.json({
       store,
+      ownedStores,
       statistics: {
         totalRatings: parseInt(stats.total_ratings),
         averageRating: parseFloat(stats.average_rating),
@@ -295,6 +682,7 @@ router.get('/owner/dashboard', authenticateToken, requireRole(['store_owner']),
       trends: trendsResult.rows,
       recentRatings: ratingsResult.rows,
       ratingDistribution,
+      criteria,
       customerInsights: customerInsightsResult.rows,
       performanceMetrics
     });
@@ -306,21 +694,45 @@ router.get('/owner/dashboard', authenticateToken, requireRole(['store_owner']),
 });
 
 // Get store analytics and insights (store owner only)
+// Pass ?storeId= to pick one of several stores; defaults to the owner's first store.
+// ?timeline=revisions makes the daily trend count edits on the day they were made.
 router.get('/owner/analytics', authenticateToken, requireRole(['store_owner']), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { period = '30' } = req.query; // days
+    const { period = '30', timeline = 'created' } = req.query; // period in days
+
+    // "created" dates each rating by when it was first submitted; "revisions"
+    // dates every revision (first submission and each edit) by when it was made
+    const trendSources = {
+      created: 'SELECT rating, created_at, 1 as revision FROM ratings WHERE store_id = $1',
+      revisions: `
+        SELECT rv.rating, rv.created_at, rv.revision
+        FROM rating_revisions rv
+        JOIN ratings r ON rv.rating_id = r.id
+        WHERE r.store_id = $1
+      `
+    };
+
+    if (!Object.prototype.hasOwnProperty.call(trendSources, timeline)) {
+      return res.status(400).json({ message: 'Timeline must be created or revisions' });
+    }
+
+    // Bound it so the interval always fits make_interval's integer days
+    const periodDays = parseInt(period);
+    if (!/^\d+$/.test(String(period)) || periodDays < 1 || periodDays > 36500) {
+      return res.status(400).json({ message: 'Period must be between 1 and 36500 days' });
+    }
 
     // Get store details
-    const storeResult = await pool.query(`
-      SELECT id, name FROM stores WHERE owner_id = $1
-    `, [userId]);
+    const { store, ownedStores } = await resolveOwnerStore(userId, req.query.storeId);
 
-    if (storeResult.rows.length === 0) {
+    if (ownedStores.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
-    const store = storeResult.rows[0];
+    if (!store) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
     // Get detailed rating analytics
     const ratingAnalytics = await pool.query(`
@@ -330,13 +742,13 @@ router.get('/owner/analytics', authenticateToken, requireRole(['store_owner']),
         COUNT(*) as total_ratings,
         COUNT(CASE WHEN rating >= 4 THEN 1 END) as positive_ratings,
         COUNT(CASE WHEN rating <= 2 THEN 1 END) as negative_ratings,
+        COUNT(CASE WHEN revision > 1 THEN 1 END) as edited_ratings,
         STDDEV(rating) as rating_variance
-      FROM ratings
-      WHERE store_id = $1 
-        AND created_at >= NOW() - INTERVAL '${period} days'
+      FROM (${trendSources[timeline]}) trend
+      WHERE created_at >= NOW() - make_interval(days => $2)
       GROUP BY DATE(created_at)
       ORDER BY date
-    `, [store.id]);
+    `, [store.id, periodDays]);
 
     // Get customer behavior insights
     const customerBehavior = await pool.query(`
@@ -399,7 +811,9 @@ router.get('/owner/analytics', authenticateToken, requireRole(['store_owner']),
 
     res.json({
       store,
-      period: parseInt(period),
+      ownedStores,
+      period: periodDays,
+      timeline,
       ratingAnalytics: ratingAnalytics.rows,
       customerBehavior: customerBehavior.rows,
       sentimentAnalysis: sentimentAnalysis.rows,
@@ -412,6 +826,48 @@ router.get('/owner/analytics', authenticateToken, requireRole(['store_owner']),
   }
 });
 
+// Live rating events for the owner's dashboard (Server-Sent Events).
+// Streams every owned store, or only ?storeId= when given.
+router.get('/owner/events', authenticateEventStream, requireRole(['store_owner']), async (req, res) => {
+  try {
+    const { storeId } = req.query;
+    let channel = ownerChannel(req.user.id);
+
+    if (storeId !== undefined) {
+      const { store } = await resolveOwnerStore(req.user.id, storeId);
+      if (!store) {
+        return res.status(404).json({ message: 'Store not found for this owner' });
+      }
+      channel = ownerStoreChannel(req.user.id, store.id);
+    }
+
+    openEventStream(req, res, [channel]);
+
+  } catch (error) {
+    console.error('Owner event stream error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Sort of a store's ratings list, shared with its export. ?sort= (as on the
+// public list) wins over sortBy/sortOrder; returns null for an unknown sort.
+const storeRatingsOrderBy = (query) => {
+  if (query.sort !== undefined) {
+    return Object.prototype.hasOwnProperty.call(RATING_SORTS, query.sort) ? RATING_SORTS[query.sort] : null;
+  }
+
+  let { sortBy = 'created_at', sortOrder = 'desc' } = query;
+
+  // Validate sort parameters
+  const allowedSortFields = ['rating', 'created_at', 'user_name'];
+  const allowedSortOrders = ['asc', 'desc'];
+  
+  if (!allowedSortFields.includes(sortBy)) sortBy = 'created_at';
+  if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'desc';
+
+  return `${sortBy === 'user_name' ? 'u.name' : `r.${sortBy}`} ${sortOrder.toUpperCase()}`;
+};
+
 // Get all ratings for a store (store owner only)
 router.get('/:id/ratings', authenticateToken, requireRole(['store_owner']), async (req, res) => {
   try {
@@ -428,19 +884,11 @@ router.get('/:id/ratings', authenticateToken, requireRole(['store_owner']), asyn
     }
 
     // Get ratings with user details
-    const { 
-      sortBy = 'created_at', 
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
-    } = req.query;
-
-    // Validate sort parameters
-    const allowedSortFields = ['rating', 'created_at', 'user_name'];
-    const allowedSortOrders = ['asc', 'desc'];
-    
-    if (!allowedSortFields.includes(sortBy)) sortBy = 'created_at';
-    if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'desc';
+    const { page = 1, limit = 20 } = req.query;
+    const orderBy = storeRatingsOrderBy(req.query);
+    if (!orderBy) {
+      return res.status(400).json({ message: RATING_SORT_ERROR });
+    }
 
     // Get total count
     const countResult = await pool.query(`
@@ -454,11 +902,13 @@ router.get('/:id/ratings', authenticateToken, requireRole(['store_owner']), asyn
 
     // Get ratings with pagination
     const ratingsQuery = `
-      SELECT r.rating, r.created_at, u.name as user_name, u.email as user_email
+      SELECT r.id, r.rating, r.created_at, r.edited_at, u.name as user_name, u.email as user_email,
+             v.helpful_count, v.not_helpful_count
       FROM ratings r
       JOIN users u ON r.user_id = u.id
+      ${ratingVotesJoin}
       WHERE r.store_id = $1
-      ORDER BY ${sortBy === 'user_name' ? 'u.name' : sortBy} ${sortOrder.toUpperCase()}
+      ORDER BY ${orderBy}
       LIMIT $2 OFFSET $3
     `;
     
@@ -480,4 +930,307 @@ router.get('/:id/ratings', authenticateToken, requireRole(['store_owner']), asyn
   }
 });
 
+// Verify the store belongs to the current owner and the rating belongs to the store
+const verifyRatingOwnership = async (req, res, next) => {
+  try {
+    const { id, ratingId } = req.params;
+    const userId = req.user.id;
+
+    // Verify store ownership
+    const ownershipResult = await pool.query(`
+      SELECT id FROM stores WHERE id = $1 AND owner_id = $2
+    `, [id, userId]);
+
+    if (ownershipResult.rows.length === 0) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const ratingResult = await pool.query(`
+      SELECT id, user_id FROM ratings WHERE id = $1 AND store_id = $2
+    `, [ratingId, id]);
+
+    if (ratingResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    req.rating = ratingResult.rows[0];
+    next();
+  } catch (error) {
+    console.error('Rating ownership check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Reply to a rating (store owner only, one reply per rating)
+router.post('/:id/ratings/:ratingId/reply', authenticateToken, requireRole(['store_owner']), verifyRatingOwnership, validateReply, async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { reply } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO rating_replies (rating_id, owner_id, reply)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (rating_id) DO NOTHING
+      RETURNING id, rating_id, reply, created_at, updated_at
+    `, [ratingId, req.user.id, reply]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'This rating already has a reply' });
+    }
+
+    await invalidateStoreCache(req.params.id, { listings: false });
+
+    await notify({
+      userId: req.rating.user_id,
+      type: 'owner_reply',
+      storeId: req.params.id,
+      ratingId,
+      actorId: req.user.id,
+      data: { edited: false }
+    });
+
+    res.status(201).json({
+      message: 'Reply posted successfully',
+      reply: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Reply creation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Edit the reply to a rating (store owner only)
+router.put('/:id/ratings/:ratingId/reply', authenticateToken, requireRole(['store_owner']), verifyRatingOwnership, validateReply, async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { reply } = req.body;
+
+    const result = await pool.query(`
+      UPDATE rating_replies
+      SET reply = $1, owner_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE rating_id = $3
+      RETURNING id, rating_id, reply, created_at, updated_at
+    `, [reply, req.user.id, ratingId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    await invalidateStoreCache(req.params.id, { listings: false });
+
+    await notify({
+      userId: req.rating.user_id,
+      type: 'owner_reply',
+      storeId: req.params.id,
+      ratingId,
+      actorId: req.user.id,
+      data: { edited: true }
+    });
+
+    res.json({
+      message: 'Reply updated successfully',
+      reply: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Reply update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete the reply to a rating (store owner only)
+router.delete('/:id/ratings/:ratingId/reply', authenticateToken, requireRole(['store_owner']), verifyRatingOwnership, async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM rating_replies WHERE rating_id = $1 RETURNING id
+    `, [ratingId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    await invalidateStoreCache(req.params.id, { listings: false });
+
+    res.json({ message: 'Reply deleted successfully' });
+
+  } catch (error) {
+    console.error('Reply deletion error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Let admins manage any store and owners only their own stores
+const verifyStoreManager = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role === 'system_admin') {
+      const storeResult = await pool.query('SELECT id FROM stores WHERE id = $1', [id]);
+      if (storeResult.rows.length === 0) {
+        return res.status(404).json({ message: 'Store not found' });
+      }
+      return next();
+    }
+
+    // Verify store ownership
+    const ownershipResult = await pool.query(`
+      SELECT id FROM stores WHERE id = $1 AND owner_id = $2
+    `, [id, req.user.id]);
+
+    if (ownershipResult.rows.length === 0) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Store access check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Export a store's ratings (?format=csv|ndjson, same sort as the ratings list).
+// Owners can export only their own stores.
+router.get('/:id/ratings/export', authenticateToken, requireRole(['store_owner', 'system_admin']), verifyStoreManager, async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ message: 'Format must be csv or ndjson' });
+    }
+
+    const orderBy = storeRatingsOrderBy(req.query);
+    if (!orderBy) {
+      return res.status(400).json({ message: RATING_SORT_ERROR });
+    }
+
+    await streamExport(req, res, {
+      sql: `
+        SELECT r.id, r.rating, r.comment, r.is_hidden, r.created_at, r.updated_at, r.edited_at,
+               u.name as user_name, u.email as user_email,
+               v.helpful_count, v.not_helpful_count,
+               rr.reply as owner_reply
+        FROM ratings r
+        JOIN users u ON r.user_id = u.id
+        LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+        ${ratingVotesJoin}
+        WHERE r.store_id = $1
+        ORDER BY ${orderBy}, r.id
+      `,
+      params: [req.params.id],
+      columns: [
+        'id', 'rating', 'comment', 'is_hidden', 'user_name', 'user_email', 'helpful_count', 'not_helpful_count',
+        'owner_reply', 'created_at', 'updated_at', 'edited_at'
+      ],
+      format,
+      filename: `store-${req.params.id}-ratings`
+    });
+
+  } catch (error) {
+    console.error('Store ratings export error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Upload or replace the store cover image (multipart field "image")
+router.post('/:id/cover', authenticateToken, requireRole(['store_owner', 'system_admin']), verifyStoreManager, uploadImage('image'), async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    return res.status(400).json({ message: 'Image file is required' });
+  }
+
+  const client = await pool.connect();
+  let image = null;
+
+  try {
+    image = await storeImage(req.file.buffer, `stores/${id}`);
+
+    await client.query('BEGIN');
+
+    // Locking the store makes concurrent uploads replace the cover one after
+    // the other, so each removes the image the previous one stored
+    const previous = await client.query(`
+      SELECT cover_image_key as image_key, cover_thumbnail_key as thumbnail_key FROM stores WHERE id = $1 FOR UPDATE
+    `, [id]);
+
+    const result = await client.query(`
+      UPDATE stores
+      SET cover_image_key = $1, cover_thumbnail_key = $2, cover_image_url = $3, cover_thumbnail_url = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING id, cover_image_url, cover_thumbnail_url
+    `, [image.imageKey, image.thumbnailKey, image.imageUrl, image.thumbnailUrl, id]);
+
+    await client.query('COMMIT');
+
+    await removeImages(previous.rows);
+    await invalidateStoreCache(id);
+
+    res.json({
+      message: 'Cover image uploaded successfully',
+      store: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (image) {
+      await removeImages([{ image_key: image.imageKey, thumbnail_key: image.thumbnailKey }]);
+    }
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Cover image upload error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Remove the store cover image
+router.delete('/:id/cover', authenticateToken, requireRole(['store_owner', 'system_admin']), verifyStoreManager, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Reads and clears the keys in one statement, so a cover uploaded
+    // meanwhile is either removed here or kept
+    const previous = await pool.query(`
+      UPDATE stores s
+      SET cover_image_key = NULL, cover_thumbnail_key = NULL, cover_image_url = NULL, cover_thumbnail_url = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, cover_image_key, cover_thumbnail_key FROM stores WHERE id = $1 FOR UPDATE) old
+      WHERE s.id = old.id
+      RETURNING old.cover_image_key as image_key, old.cover_thumbnail_key as thumbnail_key
+    `, [id]);
+
+    await removeImages(previous.rows);
+    await invalidateStoreCache(id);
+
+    res.json({ message: 'Cover image removed successfully' });
+
+  } catch (error) {
+    console.error('Cover image removal error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Live rating events for one store (Server-Sent Events, no authentication required)
+router.get('/:id/events', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const storeResult = await pool.query('SELECT id FROM stores WHERE id = $1', [id]);
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    openEventStream(req, res, [storeChannel(id)]);
+
+  } catch (error) {
+    console.error('Store event stream error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
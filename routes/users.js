@@ -1,6 +1,12 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const pool = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/sessions');
+const { exportPersonalData, requestAccountDeletion, updateProfile } = require('../services/accounts');
+const { recordAudit } = require('../services/audit');
+const { PaginationError, keysetPagination } = require('../services/pagination');
+const { storeStatsJoin, averageRatingSql, totalRatingsSql } = require('../services/ratingStats');
 
 const router = express.Router();
 
@@ -13,7 +19,7 @@ router.get('/profile', async (req, res) => {
     const userId = req.user.id;
     
     const result = await pool.query(`
-      SELECT id, name, email, address, role, created_at, updated_at
+      SELECT id, name, email, address, role, weekly_digest, created_at, updated_at
       FROM users WHERE id = $1
     `, [userId]);
 
@@ -33,7 +39,7 @@ router.get('/profile', async (req, res) => {
 router.put('/profile', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, address } = req.body;
+    const { name, address, weeklyDigest } = req.body;
 
     // Validate name length
     if (name && (name.length < 20 || name.length > 60)) {
@@ -49,44 +55,25 @@ router.put('/profile', async (req, res) => {
       });
     }
 
-    // Build update query dynamically
-    let updateFields = [];
-    let params = [];
-    let paramCount = 0;
-
-    if (name) {
-      paramCount++;
-      updateFields.push(`name = $${paramCount}`);
-      params.push(name);
-    }
-
-    if (address) {
-      paramCount++;
-      updateFields.push(`address = $${paramCount}`);
-      params.push(address);
+    if (weeklyDigest !== undefined && typeof weeklyDigest !== 'boolean') {
+      return res.status(400).json({ message: 'weeklyDigest must be true or false' });
     }
 
-    if (updateFields.length === 0) {
+    // Only the fields sent are changed; weeklyDigest opts in or out of the
+    // weekly store digest email
+    if (!name && !address && weeklyDigest === undefined) {
       return res.status(400).json({ message: 'No fields to update' });
     }
 
-    // Add updated_at and user ID to params
-    paramCount++;
-    updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-    params.push(userId);
-
-    const updateQuery = `
-      UPDATE users 
-      SET ${updateFields.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING id, name, email, address, role, created_at, updated_at
-    `;
-
-    const result = await pool.query(updateQuery, params);
+    const user = await updateProfile(userId, {
+      name: name || undefined,
+      address: address || undefined,
+      weeklyDigest
+    });
 
     res.json({
       message: 'Profile updated successfully',
-      user: result.rows[0]
+      user
     });
 
   } catch (error) {
@@ -95,7 +82,8 @@ router.put('/profile', async (req, res) => {
   }
 });
 
-// Get user's store (if store owner)
+// Get user's stores (if store owner)
+// `store` is kept for clients that expect a single store; `stores` lists all of them.
 router.get('/store', async (req, res) => {
   try {
     const userId = req.user.id;
@@ -106,19 +94,22 @@ router.get('/store', async (req, res) => {
 
     const result = await pool.query(`
       SELECT s.id, s.name, s.email, s.address, s.created_at,
-             COALESCE(AVG(r.rating), 0) as average_rating,
-             COUNT(r.id) as total_ratings
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings
       FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id
+      ${storeStatsJoin}
       WHERE s.owner_id = $1
-      GROUP BY s.id, s.name, s.email, s.address, s.created_at
+      ORDER BY s.id
     `, [userId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'No store found for this user' });
     }
 
-    res.json({ store: result.rows[0] });
+    res.json({
+      store: result.rows[0],
+      stores: result.rows
+    });
 
   } catch (error) {
     console.error('Store fetch error:', error);
@@ -130,11 +121,9 @@ router.get('/store', async (req, res) => {
 router.get('/ratings', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { 
+    let { 
       sortBy = 'created_at', 
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
+      sortOrder = 'desc'
     } = req.query;
 
     // Validate sort parameters
@@ -144,40 +133,45 @@ router.get('/ratings', async (req, res) => {
     if (!allowedSortFields.includes(sortBy)) sortBy = 'created_at';
     if (!allowedSortOrders.includes(sortOrder.toLowerCase())) sortOrder = 'desc';
 
-    // Get total count
-    const countResult = await pool.query(`
-      SELECT COUNT(*) FROM ratings WHERE user_id = $1
-    `, [userId]);
-    const totalRatings = parseInt(countResult.rows[0].count);
+    const params = [userId];
+    const pager = keysetPagination(req, {
+      sort: sortBy === 'store_name' ? 's.name' : `r.${sortBy}`,
+      order: sortOrder,
+      key: 'r.id',
+      sortName: `user-ratings:${sortBy}:${sortOrder.toLowerCase()}`,
+      params
+    });
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-    const totalPages = Math.ceil(totalRatings / limit);
+    // Get total count
+    let totalRatings = null;
+    if (pager.includeTotal) {
+      const countResult = await pool.query(`
+        SELECT COUNT(*) FROM ratings WHERE user_id = $1
+      `, [userId]);
+      totalRatings = countResult.rows[0].count;
+    }
 
     // Get ratings with store details and pagination
     const ratingsQuery = `
-      SELECT r.rating, r.created_at, r.updated_at,
-             s.id as store_id, s.name as store_name, s.address as store_address
+      SELECT r.rating, r.created_at, r.updated_at, r.edited_at,
+             s.id as store_id, s.name as store_name, s.address as store_address,
+             ${pager.cursorColumns}
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
-      ORDER BY ${sortBy === 'store_name' ? 's.name' : sortBy} ${sortOrder.toUpperCase()}
-      LIMIT $2 OFFSET $3
+      WHERE r.user_id = $1${pager.where}
+      ORDER BY ${pager.orderBy}
+      ${pager.limitSql}
     `;
     
-    const ratingsResult = await pool.query(ratingsQuery, [userId, parseInt(limit), offset]);
+    const ratingsResult = await pool.query(ratingsQuery, params);
+    const { rows: ratings, pagination } = pager.finish(ratingsResult.rows, { total: totalRatings, totalKey: 'totalRatings' });
 
-    res.json({
-      ratings: ratingsResult.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalRatings,
-        limit: parseInt(limit)
-      }
-    });
+    res.json({ ratings, pagination });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('User ratings fetch error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -213,19 +207,23 @@ router.get('/stats', async (req, res) => {
     const ratingStats = ratingStatsResult.rows[0];
 
     // Get store statistics (if store owner)
+    // storeStats is the first store; allStoreStats covers owners with several stores
     let storeStats = null;
+    let allStoreStats = [];
     if (user.role === 'store_owner') {
       const storeStatsResult = await pool.query(`
         SELECT 
+          s.id as store_id,
           s.name as store_name,
-          COALESCE(AVG(r.rating), 0) as average_rating,
-          COUNT(r.id) as total_ratings
+          ${averageRatingSql} as average_rating,
+          ${totalRatingsSql} as total_ratings
         FROM stores s
-        LEFT JOIN ratings r ON s.id = r.store_id
+        ${storeStatsJoin}
         WHERE s.owner_id = $1
-        GROUP BY s.id, s.name
+        ORDER BY s.id
       `, [userId]);
 
+      allStoreStats = storeStatsResult.rows;
       if (storeStatsResult.rows.length > 0) {
         storeStats = storeStatsResult.rows[0];
       }
@@ -258,6 +256,7 @@ router.get('/stats', async (req, res) => {
         maxRating: ratingStats.max_rating
       },
       storeStats,
+      allStoreStats,
       recentActivity: recentActivityResult.rows
     });
 
@@ -267,4 +266,88 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Download everything stored about the current user as a JSON file
+router.get('/me/export', async (req, res) => {
+  try {
+    const data = await exportPersonalData(req.user.id);
+
+    res.set('Content-Disposition', `attachment; filename="my-data-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.set('Cache-Control', 'no-store');
+    res.json(data);
+
+  } catch (error) {
+    console.error('Personal data export error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Close the current user's account after a grace period (password required).
+// With "anonymize": true the ratings are kept and shown as "Deleted user";
+// otherwise they are deleted with the account. All sessions end now, and
+// logging in again before the scheduled date cancels the deletion.
+router.delete('/me', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const userId = req.user.id;
+    const { password, anonymize = false } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required to delete your account' });
+    }
+
+    if (typeof anonymize !== 'boolean') {
+      return res.status(400).json({ message: 'anonymize must be true or false' });
+    }
+
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT password_hash, role FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const isValidPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+    if (!isValidPassword) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    // Never delete the last system admin
+    if (userResult.rows[0].role === 'system_admin') {
+      const admins = await client.query("SELECT id FROM users WHERE role = 'system_admin' FOR UPDATE");
+      if (admins.rows.length <= 1) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Cannot delete the last system admin' });
+      }
+    }
+
+    const deletion = await requestAccountDeletion(userId, { anonymize, db: client });
+    await revokeAllSessions(userId, { db: client });
+
+    await recordAudit(req, {
+      action: 'user.deletion_request',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { mode: deletion.deletion_mode, scheduledAt: deletion.deletion_scheduled_at },
+      db: client
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Your account is scheduled for deletion. Log in before the scheduled date to cancel.',
+      deletion: {
+        requestedAt: deletion.deletion_requested_at,
+        scheduledAt: deletion.deletion_scheduled_at,
+        mode: deletion.deletion_mode
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Account deletion request error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
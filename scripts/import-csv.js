@@ -0,0 +1,42 @@
+const fs = require('fs');
+const pool = require('../config/database');
+const { importCsv, ImportError } = require('../services/importer');
+
+// Bulk import users or stores from a CSV file:
+//   npm run import -- <users|stores> <file.csv> [--dry-run]
+// Import users (store owners) before the stores that reference them by email.
+async function importFile() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [type, file] = args.filter(arg => arg !== '--dry-run');
+
+  try {
+    if (!type || !file) {
+      throw new ImportError('Usage: import-csv <users|stores> <file.csv> [--dry-run]');
+    }
+
+    console.log(`📥 ${dryRun ? 'Validating' : 'Importing'} ${type} from ${file}...`);
+
+    const result = await importCsv(type, await fs.promises.readFile(file, 'utf8'), { dryRun });
+
+    result.errors.forEach(error => {
+      console.log(`  ❌ line ${error.row}${error.field ? ` (${error.field})` : ''}: ${error.message}`);
+    });
+
+    if (result.errors.length > 0) {
+      console.log(`❌ ${result.errors.length} error(s) in ${result.totalRows} rows, nothing was imported`);
+      process.exitCode = 1;
+    } else if (dryRun) {
+      console.log(`✅ Dry run passed: ${result.validRows} of ${result.totalRows} rows can be imported`);
+    } else {
+      console.log(`✅ Imported ${result.created.length} ${type}`);
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error instanceof ImportError ? error.message : error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+importFile();
@@ -1,13 +1,14 @@
 const pool = require('../config/database');
 const bcrypt = require('bcryptjs');
+const migrate = require('../database/migrate');
 
 async function initializeDatabase() {
   try {
     console.log('🚀 Initializing database...');
     
-    // Create tables directly
-    await createTables();
-    console.log('✅ Database schema created successfully');
+    // Bring the schema up to date
+    await migrate.up();
+    console.log('✅ Database schema migrated successfully');
     
     // Create default admin user with proper password hash
     const adminPassword = 'Admin@123';
@@ -36,58 +37,6 @@ async function initializeDatabase() {
   }
 }
 
-async function createTables() {
-  // Users table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20),
-      email VARCHAR(255) UNIQUE NOT NULL,
-      password_hash VARCHAR(255) NOT NULL,
-      address VARCHAR(400) NOT NULL,
-      role VARCHAR(20) NOT NULL CHECK (role IN ('system_admin', 'normal_user', 'store_owner')),
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Stores table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS stores (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(255) NOT NULL,
-      email VARCHAR(255) UNIQUE NOT NULL,
-      address VARCHAR(400) NOT NULL,
-      owner_id INTEGER REFERENCES users(id),
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Ratings table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS ratings (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
-      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
-      comment TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(user_id, store_id)
-    )
-  `);
-
-  // Create indexes
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_name ON stores(name)');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_address ON stores(address)');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_user_id ON ratings(user_id)');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_store_id ON ratings(store_id)');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_rating ON ratings(rating)');
-}
-
 async function insertSampleData() {
   try {
     // Insert sample normal users
@@ -0,0 +1,21 @@
+const pool = require('../config/database');
+const { processAccountDeletions } = require('../services/accounts');
+
+// Delete or anonymize accounts whose deletion grace period is over
+async function purgeAccounts() {
+  try {
+    console.log('🗑️ Closing accounts scheduled for deletion...');
+
+    const summary = await processAccountDeletions();
+
+    console.log(`✅ ${summary.deleted} deleted, ${summary.anonymized} anonymized, ${summary.failed} failed`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Account purge failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+purgeAccounts();
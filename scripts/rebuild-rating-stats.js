@@ -0,0 +1,21 @@
+const pool = require('../config/database');
+const { rebuildStoreRatingStats } = require('../services/ratingStats');
+
+// Recompute store_rating_stats from the ratings table, e.g. after ratings
+// were changed with triggers disabled
+async function rebuildRatingStats() {
+  try {
+    console.log('📊 Rebuilding store rating stats...');
+
+    const stores = await rebuildStoreRatingStats();
+
+    console.log(`✅ Rebuilt rating stats for ${stores} stores`);
+  } catch (error) {
+    console.error('❌ Rating stats rebuild failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+rebuildRatingStats();
@@ -0,0 +1,22 @@
+const pool = require('../config/database');
+const { sendWeeklyDigests } = require('../services/digest');
+
+// Send the weekly store digests for the last complete week. Safe to run more
+// than once (e.g. hourly from cron): weeks already sent are skipped.
+async function sendDigests() {
+  try {
+    console.log('📬 Sending weekly store digests...');
+
+    const summary = await sendWeeklyDigests();
+
+    console.log(`✅ Week of ${summary.periodStart}: ${summary.sent} sent, ${summary.skipped} already sent, ${summary.failed} failed`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Sending weekly digests failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+sendDigests();
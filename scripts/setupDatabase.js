@@ -1,99 +0,0 @@
-const { Pool } = require('pg');
-require('dotenv').config();
-
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'store_ratings_db',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'your_password',
-  ssl: {
-    rejectUnauthorized: false
-  },
-  connectionTimeoutMillis: 30000,
-  idleTimeoutMillis: 30000,
-  max: 20
-});
-
-const createTables = async () => {
-  try {
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(60) NOT NULL CHECK (length(name) >= 20),
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        address VARCHAR(400) NOT NULL,
-        role VARCHAR(20) NOT NULL DEFAULT 'normal_user' CHECK (role IN ('system_admin', 'normal_user', 'store_owner')),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create stores table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS stores (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        address VARCHAR(400) NOT NULL,
-        owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create ratings table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ratings (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
-        rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
-        comment TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, store_id)
-      )
-    `);
-
-    // Create indexes for better performance
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_email ON stores(email)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_user_store ON ratings(user_id, store_id)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_store ON ratings(store_id)');
-
-    console.log('✅ Database tables created successfully');
-
-    // Insert default system admin if not exists
-    const adminExists = await pool.query('SELECT id FROM users WHERE role = $1', ['system_admin']);
-    
-    if (adminExists.rows.length === 0) {
-      const bcrypt = require('bcryptjs');
-      const hashedPassword = await bcrypt.hash('Admin@123', 10);
-      
-      await pool.query(`
-        INSERT INTO users (name, email, password_hash, address, role)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        'System Administrator',
-        'admin@store-ratings.com',
-        hashedPassword,
-        '123 Admin Street, Admin City, AC 12345',
-        'system_admin'
-      ]);
-      
-      console.log('✅ Default system admin created');
-      console.log('📧 Email: admin@store-ratings.com');
-      console.log('🔑 Password: Admin@123');
-    }
-
-  } catch (error) {
-    console.error('❌ Error creating tables:', error);
-  } finally {
-    await pool.end();
-  }
-};
-
-createTables();
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const pool = require('../config/database');
+const { removeImages } = require('./images');
+const { recordAudit } = require('./audit');
+const { ratingScoresSql } = require('./criteria');
+const { invalidateStoreCache } = require('./cache');
+require('dotenv').config();
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const SCHEDULER_INTERVAL = 60 * 60 * 1000;
+const DELETED_USER_NAME = 'Deleted user';
+
+// Everything stored about a user, for the personal data export
+const exportPersonalData = async (userId) => {
+  const [profile, ratings, replies, stores, reports, votes, notifications, sessions] = await Promise.all([
+    pool.query(`
+      SELECT id, name, email, address, role, weekly_digest,
+             deletion_requested_at, deletion_scheduled_at, deletion_mode,
+             created_at, updated_at
+      FROM users WHERE id = $1
+    `, [userId]),
+
+    pool.query(`
+      SELECT r.id, r.store_id, s.name as store_name, r.rating, ${ratingScoresSql} as criteria, r.comment, r.is_hidden,
+             r.created_at, r.updated_at, r.edited_at,
+             rr.reply as owner_reply,
+             COALESCE(
+               (SELECT JSON_AGG(JSON_BUILD_OBJECT('url', rp.image_url, 'created_at', rp.created_at) ORDER BY rp.id)
+                FROM rating_photos rp WHERE rp.rating_id = r.id),
+               '[]'
+             ) as photos,
+             COALESCE(
+               (SELECT JSON_AGG(JSON_BUILD_OBJECT(
+                  'revision', rv.revision, 'rating', rv.rating, 'comment', rv.comment, 'created_at', rv.created_at
+                ) ORDER BY rv.revision)
+                FROM rating_revisions rv WHERE rv.rating_id = r.id),
+               '[]'
+             ) as revisions
+      FROM ratings r
+      JOIN stores s ON r.store_id = s.id
+      LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+      WHERE r.user_id = $1
+      ORDER BY r.created_at
+    `, [userId]),
+
+    // Replies written as a store owner
+    pool.query(`
+      SELECT rr.id, rr.rating_id, r.store_id, s.name as store_name, rr.reply, rr.created_at, rr.updated_at
+      FROM rating_replies rr
+      JOIN ratings r ON rr.rating_id = r.id
+      JOIN stores s ON r.store_id = s.id
+      WHERE rr.owner_id = $1
+      ORDER BY rr.created_at
+    `, [userId]),
+
+    pool.query(`
+      SELECT id, name, email, address, created_at
+      FROM stores WHERE owner_id = $1
+      ORDER BY id
+    `, [userId]),
+
+    pool.query(`
+      SELECT id, rating_id, reason, details, status, created_at
+      FROM rating_reports WHERE reporter_id = $1
+      ORDER BY created_at
+    `, [userId]),
+
+    pool.query(`
+      SELECT rating_id, helpful, created_at, updated_at
+      FROM rating_votes WHERE user_id = $1
+      ORDER BY created_at
+    `, [userId]),
+
+    pool.query(`
+      SELECT id, type, store_id, rating_id, data, read_at, created_at
+      FROM notifications WHERE user_id = $1
+      ORDER BY created_at
+    `, [userId]),
+
+    pool.query(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+      FROM user_sessions WHERE user_id = $1
+      ORDER BY created_at
+    `, [userId])
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: profile.rows[0],
+    ratings: ratings.rows,
+    replies: replies.rows,
+    stores: stores.rows,
+    reports: reports.rows,
+    votes: votes.rows,
+    notifications: notifications.rows,
+    sessions: sessions.rows
+  };
+};
+
+// Update a user's own profile; fields left undefined keep their value.
+// Returns the updated user, or null when there is none. Cached store
+// responses show authors' names, so they are dropped on a rename.
+const updateProfile = async (userId, { name, address, weeklyDigest }) => {
+  const result = await pool.query(`
+    UPDATE users
+    SET name = COALESCE($1, name),
+        address = COALESCE($2, address),
+        weekly_digest = COALESCE($3, weekly_digest),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+    RETURNING id, name, email, address, role, weekly_digest, created_at, updated_at
+  `, [
+    name === undefined ? null : name,
+    address === undefined ? null : address,
+    weeklyDigest === undefined ? null : weeklyDigest,
+    userId
+  ]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  if (name !== undefined) {
+    await invalidateStoreCache();
+  }
+
+  return result.rows[0];
+};
+
+// Schedule the account for deletion after the grace period
+const requestAccountDeletion = async (userId, { anonymize = false, db = pool } = {}) => {
+  const result = await db.query(`
+    UPDATE users
+    SET deletion_requested_at = CURRENT_TIMESTAMP,
+        deletion_scheduled_at = CURRENT_TIMESTAMP + ($1 || ' days')::INTERVAL,
+        deletion_mode = $2
+    WHERE id = $3
+    RETURNING deletion_requested_at, deletion_scheduled_at, deletion_mode
+  `, [DELETION_GRACE_DAYS, anonymize ? 'anonymize' : 'delete', userId]);
+
+  return result.rows[0];
+};
+
+// Withdraw a pending deletion request; returns whether one was pending
+const cancelAccountDeletion = async (userId, { db = pool } = {}) => {
+  const result = await db.query(`
+    UPDATE users
+    SET deletion_requested_at = NULL, deletion_scheduled_at = NULL, deletion_mode = NULL
+    WHERE id = $1 AND deletion_scheduled_at IS NOT NULL
+  `, [userId]);
+
+  return result.rowCount > 0;
+};
+
+// Replace personal data with placeholders. Ratings, photos and replies stay
+// and are shown as written by "Deleted user"; everything private is removed.
+const anonymizeUser = async (client, userId) => {
+  // A random password nobody knows, so the account can never be logged into
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await client.query(`
+    UPDATE users
+    SET name = $1, email = 'deleted-user-' || id || '@deleted.invalid', address = '',
+        password_hash = $2, role = 'normal_user', weekly_digest = FALSE,
+        deletion_requested_at = NULL, deletion_scheduled_at = NULL, deletion_mode = NULL,
+        anonymized_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [DELETED_USER_NAME, passwordHash, userId]);
+
+  await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+};
+
+// Delete or anonymize one account whose grace period is over. Returns the
+// action taken, or null when the account is no longer due.
+const closeAccount = async (userId) => {
+  const client = await pool.connect();
+  let photos = [];
+  let action;
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED lets several processes work through the queue without waiting
+    const userResult = await client.query(`
+      SELECT id, email, role, deletion_mode, deletion_requested_at FROM users
+      WHERE id = $1 AND deletion_scheduled_at <= NOW()
+      FOR UPDATE SKIP LOCKED
+    `, [userId]);
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const user = userResult.rows[0];
+    action = user.deletion_mode;
+
+    // The role may have changed since the request; never remove the last admin.
+    // Locking the admins (as the admin delete route does) keeps two removals
+    // from both seeing another admin left.
+    if (user.role === 'system_admin') {
+      const admins = await client.query("SELECT id FROM users WHERE role = 'system_admin' FOR UPDATE");
+      if (admins.rows.length <= 1) {
+        await client.query('ROLLBACK');
+        console.error(`Account ${userId} not closed: it is the last system admin`);
+        return null;
+      }
+    }
+
+    await client.query(`
+      UPDATE stores SET owner_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE owner_id = $1
+    `, [userId]);
+
+    if (action === 'anonymize') {
+      await anonymizeUser(client, userId);
+    } else {
+      const photoResult = await client.query(`
+        SELECT rp.image_key, rp.thumbnail_key
+        FROM rating_photos rp
+        JOIN ratings r ON rp.rating_id = r.id
+        WHERE r.user_id = $1
+      `, [userId]);
+      photos = photoResult.rows;
+
+      // Ratings and everything else owned by the user go with it (ON DELETE CASCADE)
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    }
+
+    // Written by the background job, so there is no request and no actor
+    await recordAudit(null, {
+      action: action === 'anonymize' ? 'user.anonymize' : 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { requestedAt: user.deletion_requested_at },
+      db: client
+    });
+
+    // Entries the user made themselves keep their id but no longer their email
+    await client.query('UPDATE audit_log SET actor_email = NULL WHERE actor_id = $1 AND actor_email IS NOT NULL', [userId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await removeImages(photos);
+  // Their ratings are gone or now show "Deleted user"
+  await invalidateStoreCache();
+  return action;
+};
+
+// Close every account whose grace period is over
+const processAccountDeletions = async () => {
+  const due = await pool.query(`
+    SELECT id FROM users
+    WHERE deletion_scheduled_at <= NOW()
+    ORDER BY deletion_scheduled_at
+  `);
+
+  const summary = { deleted: 0, anonymized: 0, failed: 0 };
+
+  for (const { id } of due.rows) {
+    try {
+      const action = await closeAccount(id);
+      if (action === 'delete') summary.deleted++;
+      if (action === 'anonymize') summary.anonymized++;
+    } catch (error) {
+      console.error(`Account deletion error for user ${id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Check hourly for accounts to close, when ACCOUNT_DELETION_SCHEDULER=true
+// (otherwise run `npm run accounts:purge` from cron)
+const startAccountDeletionScheduler = () => {
+  if (process.env.ACCOUNT_DELETION_SCHEDULER !== 'true') {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const summary = await processAccountDeletions();
+      if (summary.deleted > 0 || summary.anonymized > 0 || summary.failed > 0) {
+        console.log('🗑️ Account deletions:', summary);
+      }
+    } catch (error) {
+      console.error('Account deletion job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, SCHEDULER_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  exportPersonalData,
+  updateProfile,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  closeAccount,
+  processAccountDeletions,
+  startAccountDeletionScheduler
+};
@@ -0,0 +1,80 @@
+const pool = require('../config/database');
+
+// Fields never copied into the audit log: secrets, and timestamps the entry
+// itself already records
+const IGNORED_FIELDS = ['password', 'password_hash', 'created_at', 'updated_at'];
+
+// Personal details of a user target. The log outlives the account, so only
+// the fact that one changed is recorded, never its value.
+const PERSONAL_FIELDS = ['name', 'email', 'address'];
+
+// Fields that differ between two snapshots, as { field: { from, to } }, or
+// { field: { redacted: true } } for the `redact` fields.
+// A missing snapshot (creation or deletion) records every field on one side.
+const diffChanges = (before = null, after = null, { redact = [] } = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+
+    changes[field] = redact.includes(field)
+      ? { redacted: true }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  });
+
+  return changes;
+};
+
+// Record an action in the audit log. Pass the transaction client as `db` when
+// the action runs in a transaction so the entry commits (or rolls back) with it.
+// Without a transaction, failures are only logged: the action has already
+// happened and must not be reported as failed.
+//   action: '<target>.<verb>', e.g. 'user.create', 'rating.delete'
+//   req:    the request, for the actor and IP (null for background jobs)
+//   actor:  { id, email } when it is not the signed-in user (e.g. password resets)
+const recordAudit = async (req, {
+  action,
+  targetType,
+  targetId = null,
+  before = null,
+  after = null,
+  metadata = {},
+  actor = req ? req.user : null,
+  db = null
+}) => {
+  const query = (db || pool).query(`
+    INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, changes, metadata, ip_address)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    actor ? actor.id : null,
+    actor ? actor.email : null,
+    action,
+    targetType,
+    targetId === null ? null : parseInt(targetId),
+    diffChanges(before, after, { redact: targetType === 'user' ? PERSONAL_FIELDS : [] }),
+    metadata,
+    req ? req.ip : null
+  ]);
+
+  if (db) {
+    await query;
+    return;
+  }
+
+  try {
+    await query;
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { recordAudit, diffChanges };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+const CACHE_TTL = parseInt(process.env.CACHE_TTL_SECONDS) || 60;
+
+// Response cache stores. Each one is a factory returning
+//   get(key)                        -> the cached entry, or null
+//   set(key, entry, { ttl, tags })  -> caches entry for ttl seconds
+//   invalidate(tags)                -> drops every entry with one of the tags
+// The memory store only serves the process it runs in; with several processes
+// use redis (needs the ioredis package) or register another store with
+// registerCacheStore, and pick it with CACHE_STORE.
+const cacheStores = {
+  // Least recently used entries are dropped beyond CACHE_MAX_ENTRIES
+  memory: () => {
+    const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+    // A Map iterates in insertion order, so re-inserting on use keeps the
+    // least recently used entry first
+    const entries = new Map();
+
+    return {
+      get: async (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+          return null;
+        }
+
+        entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+          return null;
+        }
+        entries.set(key, entry);
+        return entry.value;
+      },
+      set: async (key, value, { ttl, tags }) => {
+        entries.delete(key);
+        entries.set(key, { value, tags, expiresAt: Date.now() + ttl * 1000 });
+        while (entries.size > maxEntries) {
+          entries.delete(entries.keys().next().value);
+        }
+      },
+      invalidate: async (tags) => {
+        for (const [key, entry] of entries) {
+          if (entry.tags.some(tag => tags.includes(tag))) {
+            entries.delete(key);
+          }
+        }
+      }
+    };
+  },
+
+  redis: () => {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('CACHE_STORE=redis needs the ioredis package (npm install ioredis)');
+    }
+
+    const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+    return createRedisCacheStore(args => client.call(...args));
+  },
+
+  // Caching turned off
+  none: () => ({
+    get: async () => null,
+    set: async () => {},
+    invalidate: async () => {}
+  })
+};
+
+// Store for any Redis-compatible server. `command` sends one command given as
+// an array, e.g. args => client.call(...args) with ioredis or
+// args => client.sendCommand(args) with node-redis. Each tag is a set of the
+// keys cached under it.
+const createRedisCacheStore = (command, prefix = 'cache:') => {
+  const tagKey = (tag) => `${prefix}tag:${tag}`;
+
+  return {
+    get: async (key) => {
+      const value = await command(['GET', prefix + key]);
+      return value ? JSON.parse(value) : null;
+    },
+    set: async (key, value, { ttl, tags }) => {
+      await command(['SET', prefix + key, JSON.stringify(value), 'EX', String(ttl)]);
+      for (const tag of tags) {
+        await command(['SADD', tagKey(tag), prefix + key]);
+        await command(['EXPIRE', tagKey(tag), String(ttl)]);
+      }
+    },
+    invalidate: async (tags) => {
+      for (const tag of tags) {
+        const keys = await command(['SMEMBERS', tagKey(tag)]);
+        await command(['DEL', tagKey(tag), ...keys]);
+      }
+    }
+  };
+};
+
+let activeStore = null;
+// Bumped on every invalidation, so a response computed while its data
+// changed is not cached
+let generation = 0;
+
+const registerCacheStore = (name, factory) => {
+  cacheStores[name] = factory;
+  activeStore = null;
+};
+
+const getCache = () => {
+  if (!activeStore) {
+    const name = process.env.CACHE_STORE || 'memory';
+    if (!cacheStores[name]) {
+      throw new Error(`Unknown cache store: ${name}`);
+    }
+    activeStore = { name, ...cacheStores[name]() };
+  }
+  return activeStore;
+};
+
+// Send a cached (or just cached) JSON body with its validators. Express
+// answers 304 itself when If-None-Match or If-Modified-Since match them.
+const sendEntry = (res, entry, status) => {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': entry.lastModified,
+    'Cache-Control': 'public, no-cache',
+    'X-Cache': status
+  });
+  res.type('json').send(entry.body);
+};
+
+// Cache the JSON responses of a public GET route by URL. `tagsFor(req)` names
+// what the response depends on, for invalidateCache. Only 200 responses are
+// cached; a handler can set res.locals.skipCache to keep one out. Requests
+// with credentials always go to the handler.
+const cacheResponse = (tagsFor) => async (req, res, next) => {
+  if (req.headers.authorization) {
+    return next();
+  }
+
+  let cache;
+  const key = req.originalUrl;
+  try {
+    cache = getCache();
+    const entry = await cache.get(key);
+    if (entry) {
+      return sendEntry(res, entry, 'HIT');
+    }
+  } catch (error) {
+    console.error('Cache read error:', error);
+    return next();
+  }
+
+  const startGeneration = generation;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200 || res.locals.skipCache) {
+      return json(body);
+    }
+
+    const text = JSON.stringify(body);
+    const entry = {
+      body: text,
+      etag: `"${crypto.createHash('sha1').update(text).digest('base64url')}"`,
+      lastModified: new Date().toUTCString()
+    };
+
+    if (generation === startGeneration) {
+      cache.set(key, entry, { ttl: CACHE_TTL, tags: tagsFor(req) })
+        .catch(error => console.error('Cache write error:', error));
+    }
+    return sendEntry(res, entry, 'MISS');
+  };
+
+  next();
+};
+
+// Drop cached responses with any of the tags. Failures are only logged: the
+// change itself has already been saved, and entries expire after CACHE_TTL_SECONDS.
+const invalidateCache = async (tags) => {
+  generation++;
+  try {
+    await getCache().invalidate(tags);
+  } catch (error) {
+    console.error('Cache invalidation error:', error);
+  }
+};
+
+// Tags of the public store responses: listings depend on every store, the
+// detail and ratings of a store on that store
+const storeListTags = () => ['stores'];
+const storeTags = (storeId) => ['store', `store:${storeId}`];
+
+// After a change to one store or its ratings; without a store id (category
+// changes, bulk imports, deleted users) every store response is dropped.
+// listings: false keeps the listings, for changes they neither show nor search
+// (votes, photos, replies).
+const invalidateStoreCache = (storeId = null, { listings = true } = {}) => {
+  const tags = storeId ? [`store:${storeId}`] : ['store'];
+  return invalidateCache(listings ? ['stores', ...tags] : tags);
+};
+
+module.exports = {
+  CACHE_TTL,
+  cacheResponse,
+  invalidateCache,
+  invalidateStoreCache,
+  storeListTags,
+  storeTags,
+  getCache,
+  registerCacheStore,
+  createRedisCacheStore
+};
@@ -0,0 +1,109 @@
+const pool = require('../config/database');
+
+// Raised when a rating scores criteria its store's category does not have
+class CriteriaError extends Error {}
+
+// The criteria a store can be rated on (its category's), in display order
+const storeCriteria = async (storeId, db = pool) => {
+  const result = await db.query(`
+    SELECT rc.id, rc.slug, rc.name
+    FROM rating_criteria rc
+    JOIN stores s ON s.category_id = rc.category_id
+    WHERE s.id = $1
+    ORDER BY rc.position, rc.id
+  `, [storeId]);
+
+  return result.rows;
+};
+
+// Turn the { slug: score } object sent with a rating into
+// [{ criterionId, score }] for the store's criteria
+const resolveCriteriaScores = async (storeId, criteria) => {
+  const entries = Object.entries(criteria || {});
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const available = await storeCriteria(storeId);
+  const unknown = entries.filter(([slug]) => !available.some(criterion => criterion.slug === slug));
+  if (unknown.length > 0) {
+    const allowed = available.map(criterion => criterion.slug);
+    throw new CriteriaError(allowed.length > 0
+      ? `Unknown criteria: ${unknown.map(([slug]) => slug).join(', ')}. This store can be rated on ${allowed.join(', ')}`
+      : 'This store has no rating criteria');
+  }
+
+  return entries.map(([slug, score]) => ({
+    criterionId: available.find(criterion => criterion.slug === slug).id,
+    score: parseInt(score)
+  }));
+};
+
+// Replace the criterion scores of a rating. Pass the transaction client as
+// `db` so they are saved together with the rating.
+const setRatingScores = async (ratingId, scores, db = pool) => {
+  await db.query('DELETE FROM rating_scores WHERE rating_id = $1', [ratingId]);
+  await db.query(`
+    INSERT INTO rating_scores (rating_id, criterion_id, score)
+    SELECT $1, UNNEST($2::INTEGER[]), UNNEST($3::INTEGER[])
+  `, [ratingId, scores.map(score => score.criterionId), scores.map(score => score.score)]);
+};
+
+// SQL for the { slug: score } object of the rating aliased r
+const ratingScoresSql = `COALESCE((
+  SELECT JSON_OBJECT_AGG(rc.slug, rs.score ORDER BY rc.position, rc.id)
+  FROM rating_scores rs
+  JOIN rating_criteria rc ON rs.criterion_id = rc.id
+  WHERE rs.rating_id = r.id
+), '{}')`;
+
+// Average, number of scores and 1-5 distribution of every criterion of each
+// store, as { storeId: [criterion, ...] }. Scores left over from a previous
+// category of the store are not counted.
+const criteriaBreakdown = async (storeIds) => {
+  const ids = storeIds.map(id => parseInt(id));
+  const result = await pool.query(`
+    SELECT s.id as store_id, rc.slug, rc.name,
+           AVG(rs.score) as average,
+           COUNT(rs.score) as total_scores,
+           COUNT(rs.score) FILTER (WHERE rs.score = 1) as score_1,
+           COUNT(rs.score) FILTER (WHERE rs.score = 2) as score_2,
+           COUNT(rs.score) FILTER (WHERE rs.score = 3) as score_3,
+           COUNT(rs.score) FILTER (WHERE rs.score = 4) as score_4,
+           COUNT(rs.score) FILTER (WHERE rs.score = 5) as score_5
+    FROM stores s
+    JOIN rating_criteria rc ON rc.category_id = s.category_id
+    LEFT JOIN (rating_scores rs JOIN ratings r ON rs.rating_id = r.id)
+      ON r.store_id = s.id AND rs.criterion_id = rc.id
+    WHERE s.id = ANY($1::INTEGER[])
+    GROUP BY s.id, rc.id, rc.slug, rc.name, rc.position
+    ORDER BY s.id, rc.position, rc.id
+  `, [ids]);
+
+  const breakdown = Object.fromEntries(ids.map(id => [id, []]));
+  result.rows.forEach(row => {
+    const distribution = {};
+    for (let i = 1; i <= 5; i++) {
+      distribution[i] = parseInt(row[`score_${i}`]);
+    }
+
+    breakdown[row.store_id].push({
+      slug: row.slug,
+      name: row.name,
+      average: row.average === null ? null : Math.round(parseFloat(row.average) * 100) / 100,
+      totalScores: parseInt(row.total_scores),
+      distribution
+    });
+  });
+
+  return breakdown;
+};
+
+module.exports = {
+  CriteriaError,
+  storeCriteria,
+  resolveCriteriaScores,
+  setRatingScores,
+  ratingScoresSql,
+  criteriaBreakdown
+};
@@ -0,0 +1,238 @@
+const pool = require('../config/database');
+const { sendMail, escapeHtml } = require('./mailer');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOWEST_COMMENTS_LIMIT = 3;
+const SCHEDULER_INTERVAL = 60 * 60 * 1000;
+
+// The last complete week, Monday 00:00 UTC to Monday 00:00 UTC
+const lastCompleteWeek = (now = new Date()) => {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const daysSinceMonday = (new Date(today).getUTCDay() + 6) % 7;
+  const periodEnd = new Date(today - daysSinceMonday * DAY_MS);
+  const periodStart = new Date(periodEnd.getTime() - 7 * DAY_MS);
+  return { periodStart, periodEnd };
+};
+
+const toDate = (date) => date.toISOString().slice(0, 10);
+
+// Count of ratings per star value, 1 to 5
+const distribution = (rows) => [1, 2, 3, 4, 5].map(star => {
+  const row = rows.find(r => parseInt(r.rating) === star);
+  return row ? parseInt(row.count) : 0;
+});
+
+// Collect the numbers for one store's digest
+const buildStoreDigest = async (store, { periodStart, periodEnd }) => {
+  const previousStart = new Date(periodStart.getTime() - 7 * DAY_MS);
+
+  const [weekStats, averages, currentDistribution, previousDistribution, lowestComments] = await Promise.all([
+    pool.query(`
+      SELECT COUNT(*) as new_ratings, AVG(rating) as week_average
+      FROM ratings
+      WHERE store_id = $1 AND created_at >= $2 AND created_at < $3
+    `, [store.id, periodStart, periodEnd]),
+
+    // Overall average at the start and at the end of the week
+    pool.query(`
+      SELECT
+        AVG(rating) FILTER (WHERE created_at < $2) as average_before,
+        AVG(rating) FILTER (WHERE created_at < $3) as average_after,
+        COUNT(*) FILTER (WHERE created_at < $3) as total_ratings
+      FROM ratings
+      WHERE store_id = $1
+    `, [store.id, periodStart, periodEnd]),
+
+    pool.query(`
+      SELECT rating, COUNT(*) FROM ratings
+      WHERE store_id = $1 AND created_at >= $2 AND created_at < $3
+      GROUP BY rating
+    `, [store.id, periodStart, periodEnd]),
+
+    pool.query(`
+      SELECT rating, COUNT(*) FROM ratings
+      WHERE store_id = $1 AND created_at >= $2 AND created_at < $3
+      GROUP BY rating
+    `, [store.id, previousStart, periodStart]),
+
+    pool.query(`
+      SELECT r.rating, r.comment, r.created_at, u.name as user_name
+      FROM ratings r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.store_id = $1 AND r.created_at >= $2 AND r.created_at < $3
+        AND r.comment IS NOT NULL AND r.comment <> '' AND r.is_hidden = FALSE
+      ORDER BY r.rating ASC, r.created_at DESC
+      LIMIT $4
+    `, [store.id, periodStart, periodEnd, LOWEST_COMMENTS_LIMIT])
+  ]);
+
+  const round = (value) => (value === null ? null : Math.round(parseFloat(value) * 100) / 100);
+  const { average_before, average_after, total_ratings } = averages.rows[0];
+  const current = distribution(currentDistribution.rows);
+  const previous = distribution(previousDistribution.rows);
+
+  return {
+    store,
+    periodStart: toDate(periodStart),
+    // The period end is exclusive, the email shows the last day of the week
+    periodEnd: toDate(new Date(periodEnd.getTime() - DAY_MS)),
+    newRatings: parseInt(weekStats.rows[0].new_ratings),
+    weekAverage: round(weekStats.rows[0].week_average),
+    averageBefore: round(average_before),
+    averageAfter: round(average_after),
+    averageChange: average_before === null || average_after === null
+      ? null
+      : round(parseFloat(average_after) - parseFloat(average_before)),
+    totalRatings: parseInt(total_ratings),
+    distribution: [1, 2, 3, 4, 5].map((star, index) => ({
+      rating: star,
+      count: current[index],
+      previousCount: previous[index],
+      change: current[index] - previous[index]
+    })),
+    lowestComments: lowestComments.rows
+  };
+};
+
+const formatChange = (change) => {
+  if (change === null) {
+    return 'n/a';
+  }
+  return change > 0 ? `+${change}` : String(change);
+};
+
+// Render a digest as { subject, text, html }
+const renderDigest = (digest) => {
+  const { store } = digest;
+  const dashboardUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/owner/dashboard?storeId=${store.id}`;
+  const profileUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/profile`;
+  const period = `${digest.periodStart} to ${digest.periodEnd}`;
+  const average = digest.averageAfter === null ? 'no ratings yet' : `${digest.averageAfter} (${formatChange(digest.averageChange)})`;
+
+  const subject = `${store.name}: your week in ratings (${period})`;
+
+  const text = [
+    `Hello ${store.owner_name},`,
+    '',
+    `Here is how ${store.name} did from ${period}.`,
+    '',
+    `New ratings: ${digest.newRatings}${digest.weekAverage === null ? '' : ` (average ${digest.weekAverage})`}`,
+    `Overall average: ${average}`,
+    `Total ratings: ${digest.totalRatings}`,
+    '',
+    'Rating distribution this week (change from the week before):',
+    ...digest.distribution.slice().reverse().map(row =>
+      `  ${row.rating} stars: ${row.count} (${formatChange(row.change)})`),
+    '',
+    ...(digest.lowestComments.length > 0
+      ? [
+        'Lowest-rated new comments:',
+        ...digest.lowestComments.map(row => `  ${row.rating}/5 - ${row.user_name}: "${row.comment}"`),
+        ''
+      ]
+      : []),
+    `Open your dashboard: ${dashboardUrl}`,
+    '',
+    `You can turn off these emails in your profile: ${profileUrl}`
+  ].join('\n');
+
+  const distributionRows = digest.distribution.slice().reverse().map(row =>
+    `<tr><td>${row.rating} stars</td><td>${row.count}</td><td>${formatChange(row.change)}</td></tr>`).join('');
+
+  const commentItems = digest.lowestComments.map(row =>
+    `<li><strong>${row.rating}/5</strong> - ${escapeHtml(row.user_name)}: &ldquo;${escapeHtml(row.comment)}&rdquo;</li>`).join('');
+
+  const html = `<p>Hello ${escapeHtml(store.owner_name)},</p>` +
+    `<p>Here is how <strong>${escapeHtml(store.name)}</strong> did from ${period}.</p>` +
+    '<ul>' +
+    `<li>New ratings: ${digest.newRatings}${digest.weekAverage === null ? '' : ` (average ${digest.weekAverage})`}</li>` +
+    `<li>Overall average: ${average}</li>` +
+    `<li>Total ratings: ${digest.totalRatings}</li>` +
+    '</ul>' +
+    '<p>Rating distribution this week (change from the week before):</p>' +
+    `<table><tr><th>Rating</th><th>Count</th><th>Change</th></tr>${distributionRows}</table>` +
+    (commentItems ? `<p>Lowest-rated new comments:</p><ul>${commentItems}</ul>` : '') +
+    `<p><a href="${dashboardUrl}">Open your dashboard</a></p>` +
+    `<p style="color:#888">You can turn off these emails in your <a href="${profileUrl}">profile</a>.</p>`;
+
+  return { subject, text, html };
+};
+
+// Send the digest for the last complete week to every owner who has not opted
+// out. Each store/week is claimed in store_digests before sending, so running
+// the job again (or from several processes) never mails a week twice.
+const sendWeeklyDigests = async ({ now = new Date() } = {}) => {
+  const period = lastCompleteWeek(now);
+  const summary = { periodStart: toDate(period.periodStart), sent: 0, skipped: 0, failed: 0 };
+
+  const stores = await pool.query(`
+    SELECT s.id, s.name, s.owner_id, u.name as owner_name, u.email as owner_email
+    FROM stores s
+    JOIN users u ON s.owner_id = u.id
+    WHERE u.weekly_digest = TRUE
+    ORDER BY s.id
+  `);
+
+  for (const store of stores.rows) {
+    const claim = await pool.query(`
+      INSERT INTO store_digests (store_id, owner_id, period_start, period_end)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (store_id, owner_id, period_start) DO NOTHING
+      RETURNING id
+    `, [store.id, store.owner_id, toDate(period.periodStart), toDate(period.periodEnd)]);
+
+    if (claim.rows.length === 0) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const digest = await buildStoreDigest(store, period);
+      const result = await sendMail({ to: store.owner_email, ...renderDigest(digest) });
+      if (!result.delivered) {
+        throw new Error(`not delivered by the ${result.transport} mail transport`);
+      }
+      summary.sent++;
+    } catch (error) {
+      // Release the claim so the next run retries this store
+      console.error(`Weekly digest error for store ${store.id}:`, error);
+      await pool.query('DELETE FROM store_digests WHERE id = $1', [claim.rows[0].id]);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Check hourly for a week that still has to be sent (DIGEST_SCHEDULER=true).
+// Deployments that prefer cron can run `npm run digest:send` instead.
+const startDigestScheduler = () => {
+  if (process.env.DIGEST_SCHEDULER !== 'true') {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const summary = await sendWeeklyDigests();
+      if (summary.sent > 0 || summary.failed > 0) {
+        console.log('📬 Weekly digests:', summary);
+      }
+    } catch (error) {
+      console.error('Weekly digest job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, SCHEDULER_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  lastCompleteWeek,
+  buildStoreDigest,
+  renderDigest,
+  sendWeeklyDigests,
+  startDigestScheduler
+};
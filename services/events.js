@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const pool = require('../config/database');
+const { storeScoreSql } = require('./scoring');
+const { storeStatsJoin, averageRatingSql, totalRatingsSql } = require('./ratingStats');
+require('dotenv').config();
+
+// Event buses. Each one is a factory returning
+//   publish(channel, event)      -> delivers event to every subscriber of channel
+//   subscribe(channel, listener) -> returns a function that unsubscribes
+// The memory bus only reaches subscribers in the same process. To run several
+// processes, register a bus built on Postgres LISTEN/NOTIFY (or Redis pub/sub)
+// with registerEventBus and pick it with EVENT_BUS.
+const eventBuses = {
+  memory: () => {
+    const emitter = new EventEmitter();
+    // One listener per open stream
+    emitter.setMaxListeners(0);
+
+    return {
+      publish: async (channel, event) => {
+        emitter.emit(channel, event);
+      },
+      subscribe: (channel, listener) => {
+        emitter.on(channel, listener);
+        return () => emitter.off(channel, listener);
+      }
+    };
+  }
+};
+
+let activeBus = null;
+
+const registerEventBus = (name, factory) => {
+  eventBuses[name] = factory;
+  activeBus = null;
+};
+
+const getEventBus = () => {
+  if (!activeBus) {
+    const name = process.env.EVENT_BUS || 'memory';
+    if (!eventBuses[name]) {
+      throw new Error(`Unknown event bus: ${name}`);
+    }
+    activeBus = { name, ...eventBuses[name]() };
+  }
+  return activeBus;
+};
+
+// Channels
+const storeChannel = (storeId) => `store:${storeId}`;
+const ownerChannel = (ownerId) => `owner:${ownerId}`;
+// One of the owner's stores, with the same events as ownerChannel
+const ownerStoreChannel = (ownerId, storeId) => `owner:${ownerId}:store:${storeId}`;
+
+const publish = (channel, event) => getEventBus().publish(channel, event);
+const subscribe = (channel, listener) => getEventBus().subscribe(channel, listener);
+
+// Publish rating_created, rating_updated or rating_deleted with the recomputed
+// store stats to the store's viewers and its owner. The store channel is
+// public, so it only gets the rating id; the rating itself (which may be
+// hidden by a moderator) goes to the owner's channels alone. Failures are only logged:
+// the rating change itself has already been saved.
+const publishRatingEvent = async (type, storeId, { ratingId = null, rating = null } = {}) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.id, s.owner_id,
+             ${averageRatingSql} as average_rating,
+             ${totalRatingsSql} as total_ratings,
+             ${storeScoreSql()} as score
+      FROM stores s
+      ${storeStatsJoin}
+      WHERE s.id = $1
+    `, [storeId]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const { owner_id: ownerId, average_rating, total_ratings, score } = result.rows[0];
+    const event = {
+      type,
+      storeId: parseInt(storeId),
+      ratingId: ratingId && parseInt(ratingId),
+      storeStats: { average_rating, total_ratings, score },
+      timestamp: new Date().toISOString()
+    };
+
+    await publish(storeChannel(storeId), event);
+    if (ownerId) {
+      await publish(ownerChannel(ownerId), { ...event, rating });
+      await publish(ownerStoreChannel(ownerId, storeId), { ...event, rating });
+    }
+  } catch (error) {
+    console.error('Rating event error:', error);
+  }
+};
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Turn the response into a Server-Sent Events stream of the given channels.
+// Comments are sent periodically so proxies do not close idle connections.
+const openEventStream = (req, res, channels) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const unsubscribers = channels.map(channel => subscribe(channel, send));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+};
+
+module.exports = {
+  storeChannel,
+  ownerChannel,
+  ownerStoreChannel,
+  publish,
+  subscribe,
+  publishRatingEvent,
+  openEventStream,
+  registerEventBus
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { saveFile, removeFiles } = require('./storage');
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+
+// Raised when an upload is not a decodable image
+class InvalidImageError extends Error {}
+
+// Re-encode an uploaded image as WebP (which also strips EXIF/GPS metadata),
+// generate a square thumbnail and store both. `prefix` is the storage folder,
+// e.g. 'stores/12' or 'ratings/34'.
+const storeImage = async (buffer, prefix) => {
+  let image;
+  try {
+    image = sharp(buffer).rotate();
+    await image.metadata();
+  } catch (error) {
+    throw new InvalidImageError('File is not a valid image');
+  }
+
+  const [full, thumbnail] = await Promise.all([
+    image.clone()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true }),
+    image.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .webp({ quality: 75 })
+      .toBuffer()
+  ]).catch(() => {
+    throw new InvalidImageError('File is not a valid image');
+  });
+
+  const name = crypto.randomBytes(12).toString('hex');
+  const imageKey = `${prefix}/${name}.webp`;
+  const thumbnailKey = `${prefix}/${name}_thumb.webp`;
+
+  const [imageUrl, thumbnailUrl] = await Promise.all([
+    saveFile(imageKey, full.data, 'image/webp'),
+    saveFile(thumbnailKey, thumbnail, 'image/webp')
+  ]);
+
+  return {
+    imageKey,
+    thumbnailKey,
+    imageUrl,
+    thumbnailUrl,
+    width: full.info.width,
+    height: full.info.height
+  };
+};
+
+// Delete stored files for rows with image_key/thumbnail_key columns.
+// Failures are only logged: a leftover file must not fail the request.
+const removeImages = async (rows) => {
+  try {
+    await removeFiles(rows.flatMap(row => [row.image_key, row.thumbnail_key]));
+  } catch (error) {
+    console.error('Image removal error:', error);
+  }
+};
+
+module.exports = { storeImage, removeImages, InvalidImageError };
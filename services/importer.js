@@ -0,0 +1,299 @@
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+const pool = require('../config/database');
+const { ROLES } = require('../config/roles');
+const { runValidation, validateUserRegistration, validateStoreCreation } = require('../middleware/validation');
+const { resolveCoordinates, hasCoordinatePair, setStoreTags } = require('./stores');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Raised when the file itself cannot be imported (bad CSV, missing columns, ...)
+class ImportError extends Error {}
+
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+// into objects keyed by the trimmed, lowercased header names. Blank lines are
+// skipped; each object carries the file line it started on as `_line`.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push({ values: record, line: recordLine });
+    }
+    record = [];
+    field = '';
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    throw new ImportError('CSV file is empty');
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.values.map(column => column.trim().toLowerCase());
+
+  return {
+    columns,
+    rows: rows.map(({ values, line: rowLine }) => {
+      const row = { _line: rowLine };
+      columns.forEach((column, index) => {
+        row[column] = (values[index] || '').trim();
+      });
+      return row;
+    })
+  };
+};
+
+// Empty CSV cells mean "not given"
+const present = (value) => (value === undefined || value === '' ? undefined : value);
+
+// Owners are matched on the email as it was stored, i.e. normalized
+const ownerEmailRule = body('owner_email')
+  .optional()
+  .isEmail()
+  .normalizeEmail()
+  .withMessage('Owner email must be a valid email address');
+
+const formatErrors = (errors) => errors.map(error => ({ field: error.path, message: error.msg }));
+
+// Import users. Columns: name, email, password, address, role (default normal_user)
+const importUserRow = async (client, row, seenEmails) => {
+  const { errors, data } = await runValidation(validateUserRegistration, {
+    name: row.name,
+    email: row.email,
+    password: row.password,
+    address: row.address
+  });
+  const role = present(row.role) || 'normal_user';
+
+  const rowErrors = formatErrors(errors);
+  if (!ROLES.includes(role)) {
+    rowErrors.push({ field: 'role', message: `Role must be one of ${ROLES.join(', ')}` });
+  }
+  if (rowErrors.length > 0) {
+    return { errors: rowErrors };
+  }
+
+  if (seenEmails.has(data.email)) {
+    return { errors: [{ field: 'email', message: 'Email appears more than once in the file' }] };
+  }
+  seenEmails.add(data.email);
+
+  const existingUser = await client.query('SELECT id FROM users WHERE email = $1', [data.email]);
+  if (existingUser.rows.length > 0) {
+    return { errors: [{ field: 'email', message: 'User with this email already exists' }] };
+  }
+
+  const passwordHash = await bcrypt.hash(data.password, 10);
+
+  const result = await client.query(`
+    INSERT INTO users (name, email, password_hash, address, role)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id, name, email, role
+  `, [data.name, data.email, passwordHash, data.address, role]);
+
+  return { record: result.rows[0] };
+};
+
+// Import stores. Columns: name, email, address, owner_email, category (slug or
+// name), tags (separated by ";"), latitude, longitude. Owners are linked by
+// email and must already exist with the store_owner role.
+const importStoreRow = async (client, row, seenEmails, { dryRun }) => {
+  const latitude = present(row.latitude);
+  const longitude = present(row.longitude);
+  const tags = present(row.tags) ? row.tags.split(';').map(tag => tag.trim()).filter(Boolean) : [];
+
+  const { errors, data } = await runValidation([...validateStoreCreation, ownerEmailRule], {
+    name: row.name,
+    email: row.email,
+    address: row.address,
+    owner_email: present(row.owner_email),
+    tags,
+    ...(latitude !== undefined && { latitude }),
+    ...(longitude !== undefined && { longitude })
+  });
+
+  const rowErrors = formatErrors(errors);
+  if (!hasCoordinatePair(latitude, longitude)) {
+    rowErrors.push({ field: 'latitude', message: 'Latitude and longitude must be given together' });
+  }
+  if (rowErrors.length > 0) {
+    return { errors: rowErrors };
+  }
+
+  if (seenEmails.has(data.email)) {
+    return { errors: [{ field: 'email', message: 'Email appears more than once in the file' }] };
+  }
+  seenEmails.add(data.email);
+
+  const existingStore = await client.query('SELECT id FROM stores WHERE email = $1', [data.email]);
+  if (existingStore.rows.length > 0) {
+    return { errors: [{ field: 'email', message: 'Store with this email already exists' }] };
+  }
+
+  let ownerId = null;
+  if (data.owner_email) {
+    const ownerResult = await client.query('SELECT id, role FROM users WHERE email = $1', [data.owner_email]);
+    if (ownerResult.rows.length === 0) {
+      return { errors: [{ field: 'owner_email', message: `No user with email ${row.owner_email}` }] };
+    }
+    if (ownerResult.rows[0].role !== 'store_owner') {
+      return { errors: [{ field: 'owner_email', message: 'Owner must have store_owner role' }] };
+    }
+    ownerId = ownerResult.rows[0].id;
+  }
+
+  let categoryId = null;
+  if (present(row.category)) {
+    const categoryResult = await client.query(`
+      SELECT id FROM categories WHERE slug = LOWER($1) OR LOWER(name) = LOWER($1)
+    `, [row.category]);
+    if (categoryResult.rows.length === 0) {
+      return { errors: [{ field: 'category', message: `Category ${row.category} not found` }] };
+    }
+    categoryId = categoryResult.rows[0].id;
+  }
+
+  // Dry runs skip the geocoder, which may be a rate-limited external service
+  const coordinates = dryRun && latitude === undefined
+    ? null
+    : await resolveCoordinates(latitude, longitude, data.address);
+
+  const result = await client.query(`
+    INSERT INTO stores (name, email, address, owner_id, category_id, latitude, longitude, geocoded_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id, name, email, owner_id, category_id
+  `, [
+    data.name,
+    data.email,
+    data.address,
+    ownerId,
+    categoryId,
+    coordinates ? coordinates.latitude : null,
+    coordinates ? coordinates.longitude : null,
+    coordinates ? coordinates.provider : null
+  ]);
+
+  const store = result.rows[0];
+  store.tags = await setStoreTags(store.id, tags, client);
+
+  return { record: store };
+};
+
+const IMPORTERS = {
+  users: { importRow: importUserRow, requiredColumns: ['name', 'email', 'password', 'address'] },
+  stores: { importRow: importStoreRow, requiredColumns: ['name', 'email', 'address'] }
+};
+
+// Import a CSV file of users or stores in one transaction. Every row is
+// validated and reported; if any row fails nothing is saved. With dryRun the
+// transaction is always rolled back, so the result shows what would happen.
+const importCsv = async (type, csvText, { dryRun = false } = {}) => {
+  const importer = IMPORTERS[type];
+  if (!importer) {
+    throw new ImportError(`Import type must be one of ${Object.keys(IMPORTERS).join(', ')}`);
+  }
+
+  const { columns, rows } = parseCsv(csvText);
+
+  const missingColumns = importer.requiredColumns.filter(column => !columns.includes(column));
+  if (missingColumns.length > 0) {
+    throw new ImportError(`Missing required columns: ${missingColumns.join(', ')}`);
+  }
+  if (rows.length === 0) {
+    throw new ImportError('CSV file has no data rows');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ImportError(`CSV file has ${rows.length} rows, the maximum is ${MAX_ROWS}`);
+  }
+
+  const client = await pool.connect();
+  const seenEmails = new Set();
+  const created = [];
+  const errors = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const row of rows) {
+      // A failing statement aborts the transaction, so each row gets a savepoint
+      await client.query('SAVEPOINT import_row');
+      try {
+        const result = await importer.importRow(client, row, seenEmails, { dryRun });
+        if (result.errors) {
+          errors.push(...result.errors.map(error => ({ row: row._line, ...error })));
+          await client.query('ROLLBACK TO SAVEPOINT import_row');
+        } else {
+          created.push({ row: row._line, ...result.record });
+          await client.query('RELEASE SAVEPOINT import_row');
+        }
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        console.error(`Import error on line ${row._line}:`, error);
+        errors.push({ row: row._line, field: null, message: 'Row could not be imported' });
+      }
+    }
+
+    const committed = !dryRun && errors.length === 0;
+    await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+
+    return {
+      type,
+      dryRun,
+      committed,
+      totalRows: rows.length,
+      validRows: created.length,
+      created: committed ? created : [],
+      errors
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { importCsv, parseCsv, ImportError };
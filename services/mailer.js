@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Mail transports. Each one is a factory returning { send(message) }, which
+// resolves to { delivered, transport }.
+// Register extra transports (SMTP, an HTTP mail API, ...) with registerTransport
+// and pick one with MAIL_TRANSPORT.
+// console and file deliver nothing, so production refuses them.
+const transports = {
+  // Print the message to stdout (default for local development)
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Mail to:', message.to);
+      console.log('📧 Subject:', message.subject);
+      console.log(message.text);
+      return { delivered: true, transport: 'console' };
+    }
+  }),
+
+  // Write each message as a JSON file into MAIL_OUTBOX_DIR
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { delivered: true, transport: 'file', path: filePath };
+      }
+    };
+  },
+
+  // Sends nothing, for deployments without a mail provider yet
+  none: () => ({
+    send: async (message) => {
+      console.warn(`Mail to ${message.to} not sent: MAIL_TRANSPORT=none`);
+      return { delivered: false, transport: 'none' };
+    }
+  })
+};
+
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    // These would keep password reset links in the logs or on local disk
+    // while reporting them as delivered
+    if (LOCAL_TRANSPORTS.includes(name) && process.env.NODE_ENV === 'production') {
+      throw new Error(`MAIL_TRANSPORT=${name} cannot be used in production; register a real transport, or set MAIL_TRANSPORT=none`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Escape user-provided values before putting them into an HTML body
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Store Ratings <no-reply@store-ratings.local>',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString()
+  };
+
+  return getTransport().send(message);
+};
+
+module.exports = { sendMail, registerTransport, getTransport, escapeHtml };
@@ -0,0 +1,44 @@
+const pool = require('../config/database');
+
+// Notification types and who receives them:
+//   rating_created, rating_updated   -> store owner
+//   owner_reply                      -> rating author
+//   rating_hidden, rating_restored,
+//   rating_removed                   -> rating author
+
+// Create a notification. Failures are only logged: the action that triggered
+// the notification has already succeeded and must not be reported as failed.
+// Users are never notified about their own actions.
+const notify = async ({ userId, type, storeId = null, ratingId = null, actorId = null, data = {} }) => {
+  if (!userId || userId === actorId) {
+    return null;
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO notifications (user_id, type, store_id, rating_id, actor_id, data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, user_id, type, store_id, rating_id, actor_id, data, read_at, created_at
+    `, [userId, type, storeId, ratingId, actorId, data]);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Notify the owner of a store, if it has one
+const notifyStoreOwner = async (storeId, notification) => {
+  try {
+    const result = await pool.query('SELECT owner_id FROM stores WHERE id = $1', [storeId]);
+    const ownerId = result.rows[0]?.owner_id;
+
+    return notify({ ...notification, userId: ownerId, storeId });
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+module.exports = { notify, notifyStoreOwner };
@@ -0,0 +1,136 @@
+// Keyset (cursor) pagination for list endpoints.
+//
+// A list is ordered by one or more sort expressions plus a unique key, all in
+// the same direction, and a cursor holds the values of the row to continue
+// after. Unlike OFFSET, deep pages cost the same as the first one and rows
+// added or removed meanwhile do not shift the pages (no duplicates or gaps).
+//
+// Responses carry `next` and `prev` links (null at either end) and the raw
+// cursors. Without a cursor the old ?page= paging still works, including the
+// page count; with one the total is only counted when ?count=true.
+
+// Raised for a cursor that cannot be used (malformed, or for another sort)
+class PaginationError extends Error {}
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (text, sortName, columnCount) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(text), 'base64url').toString());
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  if (!cursor || !['next', 'prev'].includes(cursor.d) || !Array.isArray(cursor.v) ||
+      cursor.v.length !== columnCount || cursor.v.some(value => typeof value !== 'string')) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (cursor.s !== sortName) {
+    throw new PaginationError('Cursor belongs to another sort order; start again without it');
+  }
+
+  return cursor;
+};
+
+// Link to the same list with another cursor; page is dropped
+const pageLink = (req, cursor) => {
+  const search = new URLSearchParams();
+  Object.entries(req.query).forEach(([name, value]) => {
+    if (name === 'cursor' || name === 'page') return;
+    [].concat(value).forEach(item => search.append(name, item));
+  });
+  search.set('cursor', cursor);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${search}`;
+};
+
+// SQL fragments and a result builder for one page of a list.
+// - sort: SQL expression(s) to order by; they must not be NULL
+// - order: 'ASC' or 'DESC', for every sort expression and the key
+// - key: unique tiebreaker column, e.g. 's.id'
+// - sortName: identifies the sort; cursors only work with the same one
+// - params: the query parameters so far; cursor values and the limit are appended
+const keysetPagination = (req, { sort, order, key, sortName, params, defaultLimit = 20, maxLimit = 100 }) => {
+  const columns = [...[].concat(sort), key];
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), maxLimit);
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sortName, columns.length) : null;
+  const page = cursor ? null : Math.max(parseInt(req.query.page) || 1, 1);
+
+  // Going back reads the rows before the cursor in reverse, then flips them
+  const backwards = cursor !== null && cursor.d === 'prev';
+  const direction = (order.toUpperCase() === 'DESC') !== backwards ? 'DESC' : 'ASC';
+
+  let where = '';
+  if (cursor) {
+    const placeholders = cursor.v.map((value, index) => `$${params.length + index + 1}`);
+    where = ` AND (${columns.join(', ')}) ${direction === 'ASC' ? '>' : '<'} (${placeholders.join(', ')})`;
+    params.push(...cursor.v);
+  }
+
+  // One extra row tells whether there is another page
+  params.push(limit + 1);
+  let limitSql = `LIMIT $${params.length}`;
+  if (page) {
+    params.push((page - 1) * limit);
+    limitSql += ` OFFSET $${params.length}`;
+  }
+
+  const includeTotal = req.query.count === undefined ? !cursor : req.query.count === 'true';
+
+  // Turn the fetched rows into the page and its pagination block. `total`
+  // (when counted) is reported under totalKey, e.g. totalStores.
+  const finish = (rows, { total = null, totalKey = 'total' } = {}) => {
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    if (backwards) pageRows.reverse();
+
+    const cursorFor = (row, d) => encodeCursor({ s: sortName, d, v: columns.map((column, index) => row[`cursor_${index}`]) });
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+
+    const hasNext = backwards ? cursor !== null : hasMore;
+    const hasPrev = backwards ? hasMore : cursor !== null || page > 1;
+    const nextCursor = hasNext && last ? cursorFor(last, 'next') : null;
+    const prevCursor = hasPrev && first ? cursorFor(first, 'prev') : null;
+
+    const pagination = {
+      limit,
+      nextCursor,
+      prevCursor,
+      next: nextCursor ? pageLink(req, nextCursor) : null,
+      prev: prevCursor ? pageLink(req, prevCursor) : null
+    };
+    if (page) {
+      pagination.currentPage = page;
+    }
+    if (total !== null) {
+      pagination[totalKey] = parseInt(total);
+      if (page) {
+        pagination.totalPages = Math.ceil(pagination[totalKey] / limit);
+      }
+    }
+
+    return {
+      rows: pageRows.map(row => {
+        const item = { ...row };
+        columns.forEach((column, index) => delete item[`cursor_${index}`]);
+        return item;
+      }),
+      pagination
+    };
+  };
+
+  return {
+    limit,
+    cursor,
+    includeTotal,
+    // Add to the SELECT list: the cursor values of each row, as text
+    cursorColumns: columns.map((column, index) => `${column}::TEXT as cursor_${index}`).join(', '),
+    where,
+    orderBy: columns.map(column => `${column} ${direction}`).join(', '),
+    limitSql,
+    finish
+  };
+};
+
+module.exports = { PaginationError, keysetPagination };
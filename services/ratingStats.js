@@ -0,0 +1,63 @@
+const pool = require('../config/database');
+
+// SQL fragments for the per-store rating aggregates in store_rating_stats,
+// which triggers on ratings keep current. Queries alias stores as `s`.
+// Stores without ratings have no stats row, hence the COALESCEs.
+const storeStatsJoin = 'LEFT JOIN store_rating_stats stats ON stats.store_id = s.id';
+const averageRatingSql = 'COALESCE(stats.rating_sum::NUMERIC / NULLIF(stats.rating_count, 0), 0)';
+const totalRatingsSql = 'COALESCE(stats.rating_count, 0)';
+const ratingSumSql = 'COALESCE(stats.rating_sum, 0)';
+const ratingDistributionSql = `JSON_BUILD_OBJECT(
+  '1', COALESCE(stats.count_1, 0), '2', COALESCE(stats.count_2, 0), '3', COALESCE(stats.count_3, 0),
+  '4', COALESCE(stats.count_4, 0), '5', COALESCE(stats.count_5, 0)
+)`;
+
+// 1-5 distribution from a stats row, as { 1: count, ..., 5: count }
+const distributionFromStats = (row = {}) => {
+  const distribution = {};
+  for (let i = 1; i <= 5; i++) {
+    distribution[i] = parseInt(row[`count_${i}`]) || 0;
+  }
+  return distribution;
+};
+
+// Average and number of ratings of one store, e.g. for responses to rating writes
+const getStoreRatingStats = async (storeId, db = pool) => {
+  const result = await db.query(`
+    SELECT ${averageRatingSql} as average_rating, ${totalRatingsSql} as total_ratings
+    FROM stores s
+    ${storeStatsJoin}
+    WHERE s.id = $1
+  `, [storeId]);
+
+  return result.rows[0] || { average_rating: 0, total_ratings: 0 };
+};
+
+// Recompute every store's aggregates from the ratings table. Rating writes
+// wait while this runs. Returns the number of stores with ratings.
+const rebuildStoreRatingStats = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await client.query('SELECT rebuild_store_rating_stats() as stores');
+    await client.query('COMMIT');
+    return result.rows[0].stores;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  storeStatsJoin,
+  averageRatingSql,
+  totalRatingsSql,
+  ratingSumSql,
+  ratingDistributionSql,
+  distributionFromStats,
+  getStoreRatingStats,
+  rebuildStoreRatingStats
+};
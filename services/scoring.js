@@ -0,0 +1,32 @@
+const { ratingSumSql, totalRatingsSql } = require('./ratingStats');
+require('dotenv').config();
+
+// How many ratings at the global mean every store starts with. Until a store
+// has about this many ratings of its own, its score stays close to the mean.
+const PRIOR_WEIGHT = parseFloat(process.env.STORE_SCORE_PRIOR_WEIGHT) || 10;
+
+// Mean of all ratings; 3 (the middle of the scale) while there are none
+const globalMeanSql = `(
+  SELECT COALESCE(SUM(rating_sum)::NUMERIC / NULLIF(SUM(rating_count), 0), 3) FROM store_rating_stats
+)`;
+
+// SQL for a store's Bayesian average: the mean of its ratings plus
+// PRIOR_WEIGHT virtual ratings at the global mean. One 5-star rating no longer
+// beats 200 ratings averaging 4.8. Takes SQL for the store's rating sum and
+// count (by default from the joined store_rating_stats, see storeStatsJoin).
+const storeScoreSql = (sumSql = ratingSumSql, countSql = totalRatingsSql) =>
+  `((${PRIOR_WEIGHT} * ${globalMeanSql} + ${sumSql}) / (${PRIOR_WEIGHT} + ${countSql}))`;
+
+// How much of the score comes from the store's own ratings rather than the
+// prior, from 0 to 1, and the matching label
+const ratingConfidence = (totalRatings) => {
+  const count = parseInt(totalRatings) || 0;
+  const weight = count / (count + PRIOR_WEIGHT);
+
+  return {
+    weight: Math.round(weight * 100) / 100,
+    level: weight >= 0.75 ? 'high' : weight >= 0.5 ? 'medium' : 'low'
+  };
+};
+
+module.exports = { PRIOR_WEIGHT, storeScoreSql, ratingConfidence };
@@ -0,0 +1,49 @@
+// SQL fragments for full-text store search. Queries alias stores as `s`;
+// `param` is the placeholder (e.g. '$1') holding the raw search text.
+//
+// A store matches when its name/address match the query or when one of its
+// visible rating comments matches. Name similarity (pg_trgm) only helps the
+// ranking; misspelled searches that match nothing get storeSuggestionsSql
+// "did you mean" names instead. Snippets are HTML-escaped before <mark> tags are
+// added, so they are safe to render as HTML.
+
+const SEARCH_CONFIG = 'english';
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, HighlightAll=FALSE';
+
+const escapeHtmlSql = (expression) =>
+  `REPLACE(REPLACE(REPLACE(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+const storeSearchSql = (param) => {
+  const text = `${param}::TEXT`;
+  const query = `websearch_to_tsquery('${SEARCH_CONFIG}', ${text})`;
+  const matchingComments = `
+    FROM ratings sr
+    WHERE sr.store_id = s.id AND sr.is_hidden = FALSE AND sr.comment_vector @@ ${query}`;
+
+  return {
+    match: `(s.search_vector @@ ${query} OR EXISTS (SELECT 1 ${matchingComments}))`,
+
+    // Name/address rank, plus half weight for name similarity and the best comment
+    rank: `(ts_rank(s.search_vector, ${query})
+      + similarity(s.name, ${text}) * 0.5
+      + COALESCE((SELECT MAX(ts_rank(sr.comment_vector, ${query})) ${matchingComments}), 0) * 0.5)`,
+
+    snippet: `ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql("s.name || ' - ' || s.address")}, ${query}, '${HEADLINE_OPTIONS}')`,
+
+    commentSnippet: `(SELECT ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql('sr.comment')}, ${query}, '${HEADLINE_OPTIONS}')
+      ${matchingComments}
+      ORDER BY ts_rank(sr.comment_vector, ${query}) DESC
+      LIMIT 1)`
+  };
+};
+
+// Store names similar to the search text, for "did you mean" suggestions
+const storeSuggestionsSql = (param, limitParam) => `
+  SELECT s.id, s.name, similarity(s.name, ${param}::TEXT) as similarity
+  FROM stores s
+  WHERE s.name % ${param}::TEXT
+  ORDER BY similarity DESC, s.name
+  LIMIT ${limitParam}
+`;
+
+module.exports = { storeSearchSql, storeSuggestionsSql };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+
+// Access tokens are short-lived JWTs carrying the session id (sid).
+// Refresh tokens are random strings; only their SHA-256 hash is stored and
+// they are rotated on every refresh. Presenting an already rotated refresh
+// token revokes the whole session, since it means the token was copied.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Start a new session for a user and return its token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const result = await pool.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + ($5 || ' days')::INTERVAL)
+    RETURNING id
+  `, [
+    user.id,
+    hashToken(refreshToken),
+    (req.headers['user-agent'] || '').slice(0, 255),
+    req.ip,
+    REFRESH_TOKEN_TTL_DAYS
+  ]);
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is unknown, expired or revoked.
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  const result = await pool.query(`
+    UPDATE user_sessions
+    SET previous_token_hash = refresh_token_hash,
+        refresh_token_hash = $2,
+        last_used_at = CURRENT_TIMESTAMP
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING id, user_id
+  `, [tokenHash, hashToken(nextRefreshToken)]);
+
+  if (result.rows.length === 0) {
+    // A rotated-out token is being replayed: kill that session
+    await pool.query(`
+      UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    `, [tokenHash]);
+    return null;
+  }
+
+  const session = result.rows[0];
+  const userResult = await pool.query('SELECT id, name, email, role, address FROM users WHERE id = $1', [session.user_id]);
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const user = userResult.rows[0];
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: nextRefreshToken,
+    sessionId: session.id,
+    user
+  };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeSessionByToken = async (refreshToken) => {
+  const result = await pool.query(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+    RETURNING id
+  `, [hashToken(refreshToken)]);
+
+  return result.rows.length > 0;
+};
+
+const revokeSession = async (sessionId) => {
+  await pool.query(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND revoked_at IS NULL
+  `, [sessionId]);
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the caller's)
+// Accepts a pg client so it can run inside a transaction.
+const revokeAllSessions = async (userId, { exceptSessionId = null, db = pool } = {}) => {
+  const result = await db.query(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL
+      AND ($2::INTEGER IS NULL OR id <> $2)
+  `, [userId, exceptSessionId]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions
+};
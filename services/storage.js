@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// File storage adapters. Each one is a factory returning
+//   save(key, buffer, contentType) -> public URL of the stored file
+//   remove(key)                    -> deletes the file, ignoring missing ones
+// Register other backends (S3, Firebase Storage, ...) with registerAdapter and
+// pick one with STORAGE_ADAPTER.
+const adapters = {
+  // Files under UPLOAD_DIR, served by index.js at /uploads
+  local: () => {
+    const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads');
+    const publicBaseUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+    return {
+      uploadDir,
+      save: async (key, buffer) => {
+        const filePath = path.join(uploadDir, key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return `${publicBaseUrl}/uploads/${key}`;
+      },
+      remove: async (key) => {
+        await fs.promises.rm(path.join(uploadDir, key), { force: true });
+      }
+    };
+  }
+};
+
+let activeAdapter = null;
+
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+  activeAdapter = null;
+};
+
+const getStorage = () => {
+  if (!activeAdapter) {
+    const name = process.env.STORAGE_ADAPTER || 'local';
+    if (!adapters[name]) {
+      throw new Error(`Unknown storage adapter: ${name}`);
+    }
+    activeAdapter = { name, ...adapters[name]() };
+  }
+  return activeAdapter;
+};
+
+const saveFile = (key, buffer, contentType) => getStorage().save(key, buffer, contentType);
+
+const removeFiles = async (keys) => {
+  const storage = getStorage();
+  await Promise.all(keys.filter(Boolean).map(key => storage.remove(key)));
+};
+
+module.exports = { saveFile, removeFiles, getStorage, registerAdapter };
@@ -0,0 +1,38 @@
+const pool = require('../config/database');
+const { geocodeAddress } = require('./geocoder');
+
+// Coordinates for a store: the ones sent by the admin, otherwise the geocoder's
+// result for the address (null when it cannot be resolved)
+const resolveCoordinates = async (latitude, longitude, address) => {
+  if (latitude !== undefined && latitude !== null) {
+    return { latitude: parseFloat(latitude), longitude: parseFloat(longitude), provider: 'manual' };
+  }
+
+  try {
+    return await geocodeAddress(address);
+  } catch (error) {
+    console.error('Geocoding error:', error);
+    return null;
+  }
+};
+
+// Latitude and longitude are only meaningful together
+const hasCoordinatePair = (latitude, longitude) =>
+  (latitude === undefined || latitude === null) === (longitude === undefined || longitude === null);
+
+// Replace the tags of a store (tags are stored trimmed and lowercased).
+// Pass a transaction client as `db` to run inside a transaction.
+const setStoreTags = async (storeId, tags, db = pool) => {
+  const normalizedTags = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+  await db.query('DELETE FROM store_tags WHERE store_id = $1 AND tag <> ALL($2::TEXT[])', [storeId, normalizedTags]);
+  await db.query(`
+    INSERT INTO store_tags (store_id, tag)
+    SELECT $1, UNNEST($2::TEXT[])
+    ON CONFLICT DO NOTHING
+  `, [storeId, normalizedTags]);
+
+  return normalizedTags;
+};
+
+module.exports = { resolveCoordinates, hasCoordinatePair, setStoreTags };
@@ -26,13 +26,71 @@ api.interceptors.request.use(
   }
 );
 
+// Exchange the stored refresh token for a new token pair.
+// Concurrent callers share one request, since each refresh token works only once.
+let refreshPromise = null;
+
+export const refreshAuthTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token found')))
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Subscribe to a Server-Sent Events endpoint. EventSource cannot send headers,
+// so the access token goes in the query string. Returns a function that closes
+// the stream. `handlers` maps event types (e.g. rating_created) to callbacks.
+export const subscribeToEvents = (path, handlers) => {
+  const url = new URL(`${API_BASE_URL}${path}`);
+  const token = localStorage.getItem('token');
+  if (token) {
+    url.searchParams.set('access_token', token);
+  }
+
+  const source = new EventSource(url.toString());
+  Object.entries(handlers).forEach(([type, handler]) => {
+    source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+  });
+
+  return () => source.close();
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Access token expired - refresh silently and retry once
+    if (error.response?.data?.code === 'TOKEN_EXPIRED' && originalRequest && !originalRequest._retry) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAuthTokens();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Fall through to the logout below
+      }
+    }
+
     if (error.response?.status === 401) {
-      // Unauthorized - clear token and redirect to login
+      // Unauthorized - clear tokens and redirect to login
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -47,23 +105,67 @@ export const API_ENDPOINTS = {
   PROFILE: '/api/auth/profile',
   UPDATE_PROFILE: '/api/auth/profile',
   UPDATE_PASSWORD: '/api/auth/password',
+  FORGOT_PASSWORD: '/api/auth/forgot-password',
+  RESET_PASSWORD: '/api/auth/reset-password',
+  REFRESH: '/api/auth/refresh',
+  LOGOUT: '/api/auth/logout',
+  LOGOUT_ALL: '/api/auth/logout-all',
   
   // Store endpoints
   STORES: '/api/stores',
+  STORE_CATEGORIES: '/api/stores/categories',
+  STORE_SEARCH_SUGGESTIONS: '/api/stores/search/suggestions',
   STORE_DETAILS: (id) => `/api/stores/${id}`,
   STORE_RATINGS: (id) => `/api/stores/${id}/ratings`,
+  STORE_RATINGS_EXPORT: (id, format = 'csv') => `/api/stores/${id}/ratings/export?format=${format}`,
+  OWNER_STORES: '/api/stores/owner/stores',
+  OWNER_PORTFOLIO: '/api/stores/owner/portfolio',
+  OWNER_DASHBOARD: (storeId) => `/api/stores/owner/dashboard${storeId ? `?storeId=${storeId}` : ''}`,
+  OWNER_ANALYTICS: (storeId) => `/api/stores/owner/analytics${storeId ? `?storeId=${storeId}` : ''}`,
+  STORE_COVER: (id) => `/api/stores/${id}/cover`,
+  STORE_EVENTS: (id) => `/api/stores/${id}/events`,
+  OWNER_EVENTS: (storeId) => `/api/stores/owner/events${storeId ? `?storeId=${storeId}` : ''}`,
+  RATING_REPLY: (storeId, ratingId) => `/api/stores/${storeId}/ratings/${ratingId}/reply`,
   
   // Rating endpoints
   RATINGS: '/api/ratings',
   USER_RATING: (storeId) => `/api/ratings/user/${storeId}`,
+  RATING_PHOTOS: (ratingId) => `/api/ratings/${ratingId}/photos`,
+  RATING_PHOTO: (ratingId, photoId) => `/api/ratings/${ratingId}/photos/${photoId}`,
+  REPORT_RATING: (ratingId) => `/api/ratings/${ratingId}/report`,
+  RATING_VOTE: (ratingId) => `/api/ratings/${ratingId}/vote`,
+  RATING_REVISIONS: (ratingId) => `/api/ratings/${ratingId}/revisions`,
   
   // Admin endpoints
   ADMIN_DASHBOARD: '/api/admin/dashboard',
   ADMIN_USERS: '/api/admin/users',
+  ADMIN_USER: (id) => `/api/admin/users/${id}`,
+  ADMIN_USERS_EXPORT: '/api/admin/users/export',
   ADMIN_STORES: '/api/admin/stores',
+  ADMIN_STORE: (id) => `/api/admin/stores/${id}`,
+  ADMIN_STORES_EXPORT: '/api/admin/stores/export',
+  ADMIN_IMPORT: (type, dryRun = false) => `/api/admin/import/${type}${dryRun ? '?dryRun=true' : ''}`,
+  ADMIN_CATEGORIES: '/api/admin/categories',
+  ADMIN_CATEGORY: (id) => `/api/admin/categories/${id}`,
+  ADMIN_CATEGORY_CRITERIA: (id) => `/api/admin/categories/${id}/criteria`,
+  ADMIN_CATEGORY_CRITERION: (id, criterionId) => `/api/admin/categories/${id}/criteria/${criterionId}`,
+  ADMIN_MODERATION: '/api/admin/moderation',
+  ADMIN_MODERATION_REPORTS: (ratingId) => `/api/admin/moderation/${ratingId}/reports`,
+  ADMIN_HIDE_RATING: (ratingId) => `/api/admin/moderation/${ratingId}/hide`,
+  ADMIN_RESTORE_RATING: (ratingId) => `/api/admin/moderation/${ratingId}/restore`,
+  ADMIN_DELETE_RATING: (ratingId) => `/api/admin/moderation/${ratingId}`,
+  ADMIN_AUDIT: '/api/admin/audit',
+  
+  // Notification endpoints
+  NOTIFICATIONS: '/api/notifications',
+  NOTIFICATIONS_UNREAD_COUNT: '/api/notifications/unread-count',
+  NOTIFICATIONS_READ_ALL: '/api/notifications/read-all',
+  NOTIFICATION_READ: (id) => `/api/notifications/${id}/read`,
   
   // User dashboard
   USER_DASHBOARD: '/api/users/dashboard',
+  MY_DATA_EXPORT: '/api/users/me/export',
+  DELETE_ACCOUNT: '/api/users/me',
 };
 
 export default api;
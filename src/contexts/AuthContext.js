@@ -1,10 +1,14 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { refreshAuthTokens, API_ENDPOINTS } from '../api';
 
 // Set axios base URL for Railway backend
 axios.defaults.baseURL = 'https://roxlier-backend.up.railway.app';
 
+// How often the unread notification count is refreshed while logged in
+const NOTIFICATION_POLL_INTERVAL = 60 * 1000;
+
 const AuthContext = createContext();
 
 export const useAuth = () => {
@@ -19,6 +23,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
 
   const fetchUserProfile = useCallback(async () => {
     try {
@@ -32,6 +37,42 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Clear the local session without contacting the server
+  const clearSession = useCallback(() => {
+    setUser(null);
+    setToken(null);
+    setUnreadNotifications(0);
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    delete axios.defaults.headers.common['Authorization'];
+  }, []);
+
+  // Refresh the access token silently when the server reports it expired
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const originalRequest = error.config;
+
+        if (error.response?.data?.code === 'TOKEN_EXPIRED' && originalRequest && !originalRequest._retry) {
+          originalRequest._retry = true;
+          try {
+            const newToken = await refreshAuthTokens();
+            axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+            originalRequest.headers.Authorization = `Bearer ${newToken}`;
+            return axios(originalRequest);
+          } catch (refreshError) {
+            clearSession();
+          }
+        }
+
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [clearSession]);
+
   // Configure axios defaults
   useEffect(() => {
     if (token) {
@@ -42,6 +83,49 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token, fetchUserProfile]);
 
+  const refreshUnreadNotifications = useCallback(async () => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.NOTIFICATIONS_UNREAD_COUNT);
+      setUnreadNotifications(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching unread notifications:', error);
+    }
+  }, []);
+
+  // Keep the unread badge current while a user is logged in
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+
+    refreshUnreadNotifications();
+    const interval = setInterval(refreshUnreadNotifications, NOTIFICATION_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [user, refreshUnreadNotifications]);
+
+  const markNotificationRead = async (notificationId) => {
+    try {
+      const response = await axios.post(API_ENDPOINTS.NOTIFICATION_READ(notificationId));
+      setUnreadNotifications(response.data.unreadCount);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update notification';
+      return { success: false, message };
+    }
+  };
+
+  const markAllNotificationsRead = async () => {
+    try {
+      await axios.post(API_ENDPOINTS.NOTIFICATIONS_READ_ALL);
+      setUnreadNotifications(0);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update notifications';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
   const login = async (email, password, role) => {
     try {
       console.log('Making API call to:', '/api/auth/login');
@@ -54,11 +138,12 @@ export const AuthProvider = ({ children }) => {
       });
 
       console.log('API response:', response.data);
-      const { token: newToken, user: userData } = response.data;
+      const { token: newToken, refreshToken, user: userData } = response.data;
 
       setToken(newToken);
       setUser(userData);
       localStorage.setItem('token', newToken);
+      localStorage.setItem('refreshToken', refreshToken);
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
 
       toast.success(`Welcome back, ${userData.name}!`);
@@ -76,11 +161,12 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await axios.post('/api/auth/register', userData);
 
-      const { token: newToken, user: newUser } = response.data;
+      const { token: newToken, refreshToken, user: newUser } = response.data;
 
       setToken(newToken);
       setUser(newUser);
       localStorage.setItem('token', newToken);
+      localStorage.setItem('refreshToken', refreshToken);
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
 
       toast.success(`Welcome to Store Ratings, ${newUser.name}!`);
@@ -92,14 +178,49 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      try {
+        // Revoke the session on the server so the tokens stop working
+        await axios.post('/api/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Error revoking session:', error);
+      }
+    }
+
+    clearSession();
     toast.success('Logged out successfully');
   };
 
+  const logoutAllSessions = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+      clearSession();
+      toast.success('Logged out from all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to log out other sessions';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const deleteAccount = async (password, anonymize = false) => {
+    try {
+      const response = await axios.delete(API_ENDPOINTS.DELETE_ACCOUNT, {
+        data: { password, anonymize }
+      });
+      clearSession();
+      toast.success(response.data.message);
+      return { success: true, deletion: response.data.deletion };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete account';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
   const updateProfile = async (profileData) => {
     try {
       // Ensure we have the current token
@@ -143,14 +264,49 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const forgotPassword = async (email) => {
+    try {
+      const response = await axios.post('/api/auth/forgot-password', { email });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to request password reset';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const resetPassword = async (resetToken, newPassword) => {
+    try {
+      await axios.post('/api/auth/reset-password', {
+        token: resetToken,
+        newPassword
+      });
+      toast.success('Password reset successfully! Please log in.');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to reset password';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
   const value = {
     user,
     loading,
     login,
     register,
     logout,
+    logoutAllSessions,
+    deleteAccount,
     updateProfile,
-    updatePassword
+    updatePassword,
+    forgotPassword,
+    resetPassword,
+    unreadNotifications,
+    refreshUnreadNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
   };
 
   return (